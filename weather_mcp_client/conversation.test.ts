@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+import { Conversation } from "./conversation.js";
+import type { ConversationMessage } from "./llmBackends.js";
+
+const toolTurn = (n: number, resultChars: number): ConversationMessage[] => [
+    { role: "user", content: `question ${n}` },
+    { role: "assistant", content: null, tool_calls: [{ id: `call_${n}`, type: "function", function: { name: "get-forecast", arguments: "{}" } }] },
+    { role: "tool", tool_call_id: `call_${n}`, name: "get-forecast", content: "x".repeat(resultChars) },
+    { role: "assistant", content: `answer ${n}` },
+];
+
+const savedFile = (messages: unknown) => {
+    const file = join(mkdtempSync(join(tmpdir(), "conversation-")), "session.json");
+    writeFileSync(file, JSON.stringify({ version: 1, messages }));
+    return file;
+};
+
+test("earlier tool results are shortened and the current turn is kept whole", () => {
+    const conversation = new Conversation(100_000);
+    conversation.push(...toolTurn(1, 5000), ...toolTurn(2, 5000));
+    const view = conversation.forRequest();
+    assert.equal(view.length, 8);
+    assert.match((view[2] as { content: string }).content, /more characters omitted/);
+    assert.equal((view[6] as { content: string }).content.length, 5000);
+});
+
+test("the oldest turns are replaced by a summary when over budget", () => {
+    const conversation = new Conversation(1000);
+    for (let n = 1; n <= 5; n++) conversation.push(...toolTurn(n, 1000));
+    const view = conversation.forRequest();
+    assert.equal(view[0].role, "system");
+    assert.match(view[0].content as string, /question 1[\s\S]*used get-forecast[\s\S]*answer 1/);
+    assert.deepEqual(view.slice(-4), toolTurn(5, 1000));
+    assert.equal(conversation.all().length, 20);
+});
+
+test("load accepts a complete saved conversation", () => {
+    const conversation = new Conversation(8000);
+    assert.equal(conversation.load(savedFile(toolTurn(1, 10))), 0);
+    assert.equal(conversation.turnCount, 1);
+});
+
+test("load drops an unfinished last turn with unanswered tool calls", () => {
+    const conversation = new Conversation(8000);
+    const dropped = conversation.load(savedFile([...toolTurn(1, 10), ...toolTurn(2, 10).slice(0, 2)]));
+    assert.equal(dropped, 2);
+    assert.deepEqual(conversation.all(), toolTurn(1, 10));
+});
+
+test("load rejects unanswered tool calls in the middle and keeps the current history", () => {
+    const conversation = new Conversation(8000);
+    conversation.push({ role: "user", content: "kept" });
+    const broken = [...toolTurn(1, 10).slice(0, 2), { role: "assistant", content: "answer" }, ...toolTurn(2, 10)];
+    assert.throws(() => conversation.load(savedFile(broken)), /tool calls without results/);
+    assert.throws(() => conversation.load(savedFile([{ role: "robot", content: "?" }])), /not a valid conversation message/);
+    assert.deepEqual(conversation.all(), [{ role: "user", content: "kept" }]);
+});
@@ -0,0 +1,161 @@
+import { readFileSync, writeFileSync } from "fs";
+import type { AssistantMessage, ConversationMessage } from "./llmBackends.js";
+
+// --- Conversation history ---
+// The full history is kept for /history and /save; each request gets a view that fits the context budget:
+//   1. tool results from earlier turns are cut to OLD_TOOL_RESULT_CHARS (the current turn keeps them whole),
+//   2. if that is still too much, the oldest turns are dropped and replaced by a short system summary.
+// Tokens are estimated at ~4 characters each, which is close enough for budgeting.
+
+const OLD_TOOL_RESULT_CHARS = 1500;
+const SUMMARY_ENTRY_CHARS = 200;
+const MAX_SUMMARY_TURNS = 10;
+const SESSION_FILE_VERSION = 1;
+
+export function estimateTokens(messages: readonly ConversationMessage[]): number {
+    return Math.ceil(messages.reduce((total, message) => total + JSON.stringify(message).length, 0) / 4);
+}
+
+function clip(text: string, maxChars: number): string {
+    const flat = text.replace(/\s+/g, " ").trim();
+    return flat.length <= maxChars ? flat : `${flat.slice(0, maxChars - 1)}…`;
+}
+
+// A turn is a user message plus the assistant and tool messages that answer it.
+function splitTurns(messages: readonly ConversationMessage[]): ConversationMessage[][] {
+    const turns: ConversationMessage[][] = [];
+    for (const message of messages) {
+        if (message.role === "user" || turns.length === 0) turns.push([]);
+        turns[turns.length - 1].push(message);
+    }
+    return turns;
+}
+
+function shortenToolResults(turn: ConversationMessage[]): ConversationMessage[] {
+    return turn.map(message => {
+        if (message.role !== "tool" || message.content.length <= OLD_TOOL_RESULT_CHARS) return message;
+        const omitted = message.content.length - OLD_TOOL_RESULT_CHARS;
+        return { ...message, content: `${message.content.slice(0, OLD_TOOL_RESULT_CHARS)}\n[... ${omitted} more characters omitted from this earlier tool result]` };
+    });
+}
+
+function summarizeTurns(turns: ConversationMessage[][]): ConversationMessage {
+    const recent = turns.slice(-MAX_SUMMARY_TURNS);
+    const lines = recent.map(turn => {
+        const question = turn.find(m => m.role === "user")?.content ?? "";
+        const answer = [...turn].reverse().find((m): m is AssistantMessage => m.role === "assistant" && !!m.content)?.content ?? "(no answer)";
+        const tools = turn.filter(m => m.role === "tool").map(m => (m as { name: string }).name);
+        return `- User: ${clip(question, SUMMARY_ENTRY_CHARS)}\n  Assistant${tools.length ? ` (used ${[...new Set(tools)].join(", ")})` : ""}: ${clip(answer, SUMMARY_ENTRY_CHARS)}`;
+    });
+    const skipped = turns.length - recent.length;
+    return {
+        role: "system",
+        content: `Earlier parts of this conversation were removed to fit the context window. Summary of the ${turns.length} removed exchange(s)${skipped ? ` (oldest ${skipped} not listed)` : ""}:\n${lines.join("\n")}`,
+    };
+}
+
+function isValidMessage(message: any): message is ConversationMessage {
+    if (typeof message !== "object" || message === null) return false;
+    switch (message.role) {
+        case "system":
+        case "user":
+            return typeof message.content === "string";
+        case "assistant":
+            return (message.content === null || typeof message.content === "string")
+                && (message.tool_calls === undefined || (Array.isArray(message.tool_calls)
+                    && message.tool_calls.every((c: any) => typeof c?.id === "string" && typeof c?.function?.name === "string" && typeof c?.function?.arguments === "string")));
+        case "tool":
+            return typeof message.tool_call_id === "string" && typeof message.name === "string" && typeof message.content === "string";
+        default:
+            return false;
+    }
+}
+
+// Index of the first assistant message whose tool calls are not all answered by the tool messages right after it, or -1.
+function firstUnansweredToolCall(messages: readonly ConversationMessage[]): number {
+    for (let i = 0; i < messages.length; i++) {
+        const message = messages[i];
+        if (message.role !== "assistant" || !message.tool_calls?.length) continue;
+        const answered = new Set<string>();
+        for (let j = i + 1; j < messages.length && messages[j].role === "tool"; j++) {
+            answered.add((messages[j] as { tool_call_id: string }).tool_call_id);
+        }
+        if (!message.tool_calls.every(call => answered.has(call.id))) return i;
+    }
+    return -1;
+}
+
+export class Conversation {
+    private messages: ConversationMessage[] = [];
+
+    constructor(public contextTokens: number) {}
+
+    get length(): number {
+        return this.messages.length;
+    }
+
+    get turnCount(): number {
+        return this.messages.filter(m => m.role === "user").length;
+    }
+
+    all(): readonly ConversationMessage[] {
+        return this.messages;
+    }
+
+    push(...messages: ConversationMessage[]) {
+        this.messages.push(...messages);
+    }
+
+    // Drops everything from `length` on, e.g. to undo a turn that failed or was cancelled halfway
+    // (an assistant tool call without its results would be rejected by the next request).
+    truncate(length: number) {
+        this.messages.length = Math.min(length, this.messages.length);
+    }
+
+    reset() {
+        this.messages = [];
+    }
+
+    forRequest(): ConversationMessage[] {
+        const turns = splitTurns(this.messages);
+        const current = turns.pop() ?? [];
+        const earlier = turns.map(shortenToolResults);
+        const dropped: ConversationMessage[][] = [];
+
+        const build = () => [...(dropped.length ? [summarizeTurns(dropped)] : []), ...earlier.flat(), ...current];
+        let view = build();
+        while (earlier.length > 0 && estimateTokens(view) > this.contextTokens) {
+            dropped.push(earlier.shift()!);
+            view = build();
+        }
+        return view;
+    }
+
+    save(file: string) {
+        writeFileSync(file, JSON.stringify({ version: SESSION_FILE_VERSION, savedAt: new Date().toISOString(), messages: this.messages }, null, 2));
+    }
+
+    // Replaces the current history; on any error the current history is left untouched. A turn saved halfway
+    // (tool calls without their results at the end) is dropped, since backends reject such a request;
+    // unanswered tool calls earlier in the file are an error. Returns the number of messages dropped.
+    load(file: string): number {
+        const raw = JSON.parse(readFileSync(file, "utf8"));
+        const messages: ConversationMessage[] = Array.isArray(raw) ? raw : raw?.messages;
+        if (!Array.isArray(messages)) throw new Error(`${file} does not contain a saved conversation`);
+        const invalid = messages.findIndex(message => !isValidMessage(message));
+        if (invalid !== -1) throw new Error(`${file}: message ${invalid} is not a valid conversation message`);
+        const unanswered = firstUnansweredToolCall(messages);
+        if (unanswered === -1) {
+            this.messages = messages;
+            return 0;
+        }
+        if (messages.slice(unanswered + 1).some(message => message.role !== "tool")) {
+            throw new Error(`${file}: message ${unanswered} has tool calls without results`);
+        }
+        // Back to the user message that started the unfinished turn.
+        let turnStart = unanswered;
+        while (turnStart > 0 && messages[turnStart].role !== "user") turnStart--;
+        this.messages = messages.slice(0, turnStart);
+        return messages.length - turnStart;
+    }
+}
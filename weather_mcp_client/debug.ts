@@ -0,0 +1,32 @@
+import { Console } from "node:console";
+
+// --- Status and debug logging ---
+// Connection messages, notices and debug lines go through statusLog/debugLog rather than console.log, so
+// --query/--batch can send them to stderr once at startup and keep stdout for answers.
+let statusConsole: Console = console;
+
+export function setStatusStream(stream: NodeJS.WritableStream) {
+    statusConsole = new Console({ stdout: stream, stderr: process.stderr });
+}
+
+export function statusLog(...args: any[]) {
+    statusConsole.log(...args);
+}
+
+// Debug logging is off by default; enable with CLIENT_DEBUG=true or toggle at runtime with the /debug command.
+let debugLogging = process.env.CLIENT_DEBUG === "1" || process.env.CLIENT_DEBUG === "true";
+
+export function isDebugLogging(): boolean {
+    return debugLogging;
+}
+
+export function setDebugLogging(enabled: boolean) {
+    debugLogging = enabled;
+}
+
+// Helper function for conditional logging
+export function debugLog(...args: any[]) {
+    if (debugLogging) {
+        statusConsole.debug(...args);
+    }
+}
@@ -1,177 +1,73 @@
+import "dotenv/config";
 import readline from "readline/promises";
+import { existsSync } from "fs";
 import { stdin as input, stdout as output } from "process";
-import { Client as McpClientSDK } from "@modelcontextprotocol/sdk/client/index.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { parseArgs } from "util";
+import { ErrorCode, McpError, ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { Conversation, estimateTokens } from "./conversation.js";
+import { debugLog, isDebugLogging, setDebugLogging, setStatusStream, statusLog } from "./debug.js";
+import { createBackend, llmSettingsFromEnv, resolveLLMSettings, type AssistantMessage, type ConversationMessage, type LLMBackend, type CompletionOptions, GenerationCancelledError, type LLMBackendName, type LLMTool, type ResolvedLLMSettings, type ToolCall } from "./llmBackends.js";
+import { QueryTrace, type ToolOutcome } from "./trace.js";
+import { QueryTimeoutError, resolveToolLoopSettings, ToolLimitError, toolCallKey, toolLoopSettingsFromEnv, validateToolArguments, type ResolvedToolLoopSettings } from "./toolSafeguards.js";
+import { legacyServerConfig, loadClientConfig, ServerConnection, type ClientConfig, type ToolDefinition } from "./mcpServers.js";
 
 // --- CONFIGURATION ---
-const ENABLE_DEBUG_LOGGING = false; // Set to true to enable debug logs, false to disable
-
-// Helper function for conditional logging
-function debugLog(...args: any[]) {
-    if (ENABLE_DEBUG_LOGGING) {
-        console.debug(...args);
-    }
-}
-
-// Define ToolDefinition type locally since it's not exported by the SDK
-interface ToolDefinition {
-    name: string;
-    description?: string;
-    inputSchema?: Record<string, any>;
-}
-
-// Define ListToolsResult type locally if not exported by the SDK
-interface ListToolsResult {
-    tools: ToolDefinition[];
-}
-
-import type { RequestInit, Response } from "node-fetch";
-
-type Fetch = (url: string, init?: RequestInit) => Promise<Response>;
-
-// --- Type definitions for LLM Messages (OpenAI Style) ---
-interface UserMessage {
-    role: "user";
-    content: string;
-}
-
-interface AssistantMessage {
-    role: "assistant";
-    content: string | null; 
-    tool_calls?: ToolCall[];
-}
-
-interface ToolCall {
-    id: string; 
-    type: "function"; 
-    function: {
-        name: string;
-        arguments: string; 
-    };
-}
-
-interface ToolResultMessage {
-    role: "tool";
-    tool_call_id: string;
-    name: string; 
-    content: string; 
-}
-
-type ConversationMessage = UserMessage | AssistantMessage | ToolResultMessage;
-
-// --- Type for formatted tools for LLM ---
-interface LLMTool {
-    type: "function";
-    function: {
-        name: string;
-        description?: string;
-        parameters: Record<string, any>; 
-    };
-}
-
-interface RequestHandlerOptions {
-    serverUrl?: string;
-    model?: string;
-    maxTokens?: number;
-    temperature?: number;
-    stop?: string[]; // Retained for flexibility, though commented out in constructor
-    warmupPrompt?: string;
-}
+// Comma-separated resource URIs to subscribe to, e.g. MCP_SUBSCRIBE=weather://alerts/TX,weather://alerts/point/38.9/-77.0
+// They are sent to every connected server that supports subscriptions, in addition to each server's own `subscribe` list.
+const SUBSCRIBE_URIS = (process.env.MCP_SUBSCRIBE || "").split(",").map(u => u.trim()).filter(Boolean);
+const DEFAULT_CONFIG_FILE = "mcp.config.json";
+// OpenAI-style function names are limited to 64 characters.
+const MAX_TOOL_NAME_LENGTH = 64;
 
 class RequestHandler {
-    private serverUrl: string;
-    private model: string;
-    private maxTokens: number;
-    private temperature: number;
-    // private stop: string[]; // Retained if needed
+    private backend: LLMBackend;
     private ready: boolean;
-    private fetchFn: Fetch;
     private errors: Set<string>;
 
-    constructor(options: RequestHandlerOptions = {}) {
-        const {
-            serverUrl = 'http://localhost:11434/v1/chat/completions',
-            model = 'hhao/qwen2.5-coder-tools',                  
-            maxTokens = 1000,
-            temperature = 0.2,
-            // stop = ["\nUser:", "\nAI:"], 
-        } = options;
-
-        debugLog(`RequestHandler Initializing with: URL='${serverUrl}', Model='${model}'`);
-
-        this.serverUrl = serverUrl;
-        this.model = model;
-        this.maxTokens = maxTokens;
-        this.temperature = temperature;
-        // this.stop = stop; 
+    constructor(backend: LLMBackend) {
+        debugLog(`RequestHandler Initializing with: backend='${backend.name}', model='${backend.model}'`);
+        this.backend = backend;
         this.ready = false;
-        this.fetchFn = fetch as unknown as Fetch; 
         this.errors = new Set();
     }
 
-    static async create(options?: RequestHandlerOptions) {
-        const instance = new RequestHandler(options);
-        const { default: fetchImport } = await import('node-fetch');
-        instance.fetchFn = fetchImport as Fetch;
-        await instance._warmup();
+    static async create(settings: ResolvedLLMSettings) {
+        const instance = new RequestHandler(createBackend(settings));
+        if (settings.warmup) {
+            await instance._warmup();
+        } else {
+            instance.ready = true;
+        }
         return instance;
     }
 
+    get description(): string {
+        return `${this.backend.name}:${this.backend.model}`;
+    }
+
+    setModel(model: string) {
+        this.backend.model = model;
+    }
+
     private async _warmup() {
         try {
             // Warmup with a simple message array
-            await this._queryInternal([{ role: 'user', content: 'Hello!' }]);
+            await this.backend.complete([{ role: 'user', content: 'Hello!' }]);
             this.ready = true;
-            console.log('RequestHandler: Warmup complete, ready.');
+            statusLog('RequestHandler: Warmup complete, ready.');
         } catch (e: any) {
             this.recordError(e);
             console.error('RequestHandler: Warmup failed', e.message); // Log e.message
         }
     }
 
-    private async _queryInternal(messages: ConversationMessage[], tools?: LLMTool[]): Promise<string> {
-        const body: Record<string, any> = {
-            model: this.model,
-            messages: messages,
-            max_tokens: this.maxTokens,
-            temperature: this.temperature,
-        };
-
-        if (tools && tools.length > 0) {
-            body.tools = tools;
-            body.tool_choice = "auto";
-        }
-
-        debugLog("RequestHandler: Sending to LLM:", JSON.stringify(body, null, 2));
-
-        const res = await this.fetchFn(this.serverUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
-        });
-
-        if (!res.ok) {
-            const errorText = await res.text();
-            console.error("RequestHandler: LLM API Error:", res.status, errorText);
-            throw new Error(`Request failed: ${res.status} - ${errorText}`);
-        }
-
-        const data = await res.json();
-        debugLog("RequestHandler: Received from LLM:", JSON.stringify(data, null, 2));
-
-        if (data.choices && data.choices.length > 0 && data.choices[0].message) {
-            return JSON.stringify(data.choices[0].message);
-        }
-        throw new Error("Unexpected LLM response format from _queryInternal");
-    }
-
-    async queryWithHistory(messages: ConversationMessage[], tools?: LLMTool[]): Promise<string> {
+    async queryWithHistory(messages: ConversationMessage[], tools?: LLMTool[], options?: CompletionOptions): Promise<AssistantMessage> {
         if (!this.ready) {
             const err = new Error('RequestHandler not ready');
             this.recordError(err);
             throw err;
         }
-        return this._queryInternal(messages, tools);
+        return this.backend.complete(messages, tools, options);
     }
 
     private recordError(error: any) {
@@ -185,43 +81,228 @@ class RequestHandler {
     }
 }
 
+// Process exit status. Interactive sessions exit 0 unless startup fails.
+const EXIT_CODES = {
+    ok: 0,
+    queryFailed: 1,     // a query failed (LLM or client error); also unexpected fatal errors
+    usage: 2,           // bad options, config file or LLM settings
+    noServers: 3,       // no MCP server could be connected
+    timeout: 4,         // a query hit the overall query timeout
+    toolLimit: 5,       // the model did not answer within --max-tool-rounds
+    interrupted: 130,   // SIGINT during --query / --batch
+} as const;
+
+const SLASH_COMMAND_HELP = `Commands:
+  /reset          Start a new conversation
+  /save <file>    Save the conversation as JSON
+  /load <file>    Replace the conversation with a saved one
+  /tools          List the tools offered to the model
+  /history        Show the conversation and its context usage
+  /model [name]   Show or switch the model
+  /debug [on|off] Toggle debug logging
+  /quit           Exit (same as 'quit')`;
+
+// Where a tool name shown to the LLM actually lives.
+interface ToolRoute {
+    connection: ServerConnection;
+    toolName: string;
+    inputSchema?: Record<string, any>;
+}
+
+interface ToolCallResult {
+    content: string;        // tool message text for the model
+    outcome: ToolOutcome;
+    server: string | null;
+    args: unknown;
+}
+
+interface QueryOptions extends CompletionOptions {
+    trace?: QueryTrace;     // filled in with every LLM response and tool call when given
+}
+
+// Per-query bookkeeping for executeToolCall.
+interface ToolCallState {
+    results: Map<string, string>;   // toolCallKey -> result text, for duplicate detection
+    approveAll: boolean;            // confirmations are off, or the user answered "all"
+}
+
 class MCPClient {
-    private mcp: McpClientSDK;
+    private connections = new Map<string, ServerConnection>();
+    private toolRoutes = new Map<string, ToolRoute>();
     private requestHandler: RequestHandler;
+    private rl: readline.Interface | null = null;
+    private conversation: Conversation;
+    private toolLoop: ResolvedToolLoopSettings;
+    private activeGeneration: AbortController | null = null;
+    private lineOpen = false; // streamed text was written without a trailing newline
 
-    constructor(requestHandler: RequestHandler) {
+    constructor(requestHandler: RequestHandler, contextTokens: number, toolLoop: ResolvedToolLoopSettings) {
         this.requestHandler = requestHandler;
-        this.mcp = new McpClientSDK({ name: 'mcp-client-cli', version: '1.0.0' });
+        this.toolLoop = toolLoop;
+        this.conversation = new Conversation(contextTokens);
         debugLog('MCPClient initialized.');
     }
 
-    async connectToServer(serverPath: string) {
-        const isJs = serverPath.endsWith('.js');
-        const command = isJs ? process.execPath : 'python3';
-        this.mcp.connect(new StdioClientTransport({ command, args: [serverPath] }));
-        
-        const listToolsResult: ListToolsResult = await this.mcp.listTools();
-        if (listToolsResult && Array.isArray(listToolsResult.tools)) {
-            console.log('Connected with tools:', listToolsResult.tools.map(t => t.name));
-        } else {
-            console.log('Connected, but no tools found or unexpected format from listTools.');
-            if(listToolsResult) debugLog("MCPClient: listToolsResult format:", listToolsResult);
+    // Connects to every enabled server in parallel. A server that fails is reported and skipped;
+    // only when none connect is this an error.
+    async connectToServers(config: ClientConfig) {
+        const entries = Object.entries(config.mcpServers).filter(([name, serverConfig]) => {
+            if (serverConfig.disabled) debugLog(`MCPClient: Skipping disabled server '${name}'`);
+            return !serverConfig.disabled;
+        });
+        const results = await Promise.allSettled(entries.map(async ([name, serverConfig]) => {
+            const connection = new ServerConnection(name, serverConfig);
+            connection.client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+                await this.handleResourceUpdated(connection, notification.params.uri);
+            });
+            await connection.connect();
+            return connection;
+        }));
+
+        results.forEach((result, i) => {
+            const [name] = entries[i];
+            if (result.status === 'fulfilled') {
+                this.connections.set(name, result.value);
+                statusLog(`Connected to '${name}' with tools:`, result.value.tools.map(t => t.name));
+            } else {
+                console.error(`MCPClient: Failed to connect to '${name}':`, result.reason?.message || result.reason);
+            }
+        });
+        if (this.connections.size === 0) {
+            throw new Error(entries.length === 0 ? 'No MCP servers are configured.' : 'Could not connect to any MCP server.');
+        }
+
+        for (const connection of this.connections.values()) {
+            const uris = [...(connection.config.subscribe || []), ...SUBSCRIBE_URIS];
+            if (uris.length > 0) {
+                await this.subscribeToResources(connection, uris);
+            }
+        }
+    }
+
+    async cleanup() {
+        await Promise.all(Array.from(this.connections.values()).map(connection => connection.close()));
+        this.connections.clear();
+    }
+
+    private async subscribeToResources(connection: ServerConnection, uris: string[]) {
+        if (!connection.client.getServerCapabilities()?.resources?.subscribe) {
+            statusLog(`Server '${connection.name}' does not support resource subscriptions; not subscribing to ${uris.join(', ')}.`);
+            return;
+        }
+        for (const uri of uris) {
+            try {
+                await connection.client.subscribeResource({ uri });
+                statusLog(`Subscribed to ${uri} on '${connection.name}'`);
+            } catch (e: any) {
+                console.error(`MCPClient: Failed to subscribe to ${uri} on '${connection.name}':`, e.message);
+            }
+        }
+    }
+
+    // Re-read the updated resource and print a short summary without clobbering the prompt.
+    private async handleResourceUpdated(connection: ServerConnection, uri: string) {
+        debugLog(`MCPClient: Resource updated notification from '${connection.name}' for`, uri);
+        let summary = '';
+        try {
+            const result = await connection.client.readResource({ uri });
+            const json = result.contents.find(c => c.mimeType === 'application/json' && typeof c.text === 'string');
+            const text = result.contents.find(c => typeof c.text === 'string');
+            if (json) {
+                const data = JSON.parse(json.text as string);
+                if (Array.isArray(data.alerts)) {
+                    summary = data.alerts.length === 0
+                        ? '  No active alerts.'
+                        : data.alerts.map((a: any) => `  - ${a.event || 'Alert'}${a.severity ? ` [${a.severity}]` : ''}: ${a.headline || a.area || ''}`).join('\n');
+                }
+            }
+            if (!summary && text) {
+                summary = (text.text as string).split('\n').slice(0, 8).map(l => `  ${l}`).join('\n');
+            }
+        } catch (e: any) {
+            summary = `  (could not read resource: ${e.message})`;
+        }
+        this.printNotice(`\n🔔 Update from ${uri}:\n${summary}`);
+    }
+
+    private printNotice(message: string) {
+        if (!this.rl) {
+            statusLog(message);
+            return;
+        }
+        if (output.isTTY) {
+            output.clearLine(0);
+            output.cursorTo(0);
+        }
+        statusLog(message);
+        this.rl.prompt(true); // redraw "Query: " plus whatever the user had typed
+    }
+
+    // Refreshes every server's tool list and rebuilds the name -> server routing table. Names are
+    // prefixed per server (see toolPrefix); if two servers still collide, the first one configured wins.
+    private async collectTools(): Promise<ToolDefinition[]> {
+        this.toolRoutes.clear();
+        const merged: ToolDefinition[] = [];
+        for (const connection of this.connections.values()) {
+            try {
+                await connection.refreshTools();
+            } catch (e: any) {
+                console.error(`MCPClient: Could not list tools from '${connection.name}', using the last known list:`, e.message);
+            }
+            for (const tool of connection.tools) {
+                const exposedName = `${connection.toolPrefix}${tool.name}`;
+                if (exposedName.length > MAX_TOOL_NAME_LENGTH) {
+                    console.warn(`MCPClient: Tool name '${exposedName}' is longer than ${MAX_TOOL_NAME_LENGTH} characters; shorten toolPrefix for '${connection.name}'. Skipping it.`);
+                    continue;
+                }
+                if (this.toolRoutes.has(exposedName)) {
+                    console.warn(`MCPClient: Tool '${exposedName}' from '${connection.name}' clashes with '${this.toolRoutes.get(exposedName)!.connection.name}'; ignoring it.`);
+                    continue;
+                }
+                this.toolRoutes.set(exposedName, { connection, toolName: tool.name, inputSchema: tool.inputSchema });
+                merged.push({ ...tool, name: exposedName });
+            }
         }
+        return merged;
+    }
+
+    // Shows which tool is running on a single, rewritable terminal line (a plain log line when not a TTY).
+    // Status goes to stderr so it never mixes into answers or --json output on stdout.
+    private showStatus(text: string) {
+        this.endStreamedLine();
+        if (process.stderr.isTTY) process.stderr.write(`\r\x1b[K${text}`);
+        else console.error(text);
+    }
+
+    private clearStatus() {
+        if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+    }
+
+    private writeToken(text: string) {
+        output.write(text);
+        this.lineOpen = !text.endsWith('\n');
+    }
+
+    private endStreamedLine() {
+        if (this.lineOpen) output.write('\n');
+        this.lineOpen = false;
     }
 
-    async processQuery(query: string): Promise<string> {
+    // options.signal cancels the LLM request or tool call in flight (GenerationCancelledError);
+    // options.onToken receives streamed text, including any the model writes before calling tools.
+    async processQuery(query: string, options: QueryOptions = {}): Promise<string> {
         debugLog('MCPClient: Initial user query:', query);
 
-        const availableMcpToolsResult: ListToolsResult = await this.mcp.listTools();
-        if (!availableMcpToolsResult || !Array.isArray(availableMcpToolsResult.tools)) {
-            console.error("MCPClient: Could not retrieve tools from server or format is incorrect.");
+        const availableTools = await this.collectTools();
+        if (availableTools.length === 0) {
+            console.error("MCPClient: No tools available from any connected server.");
             return "Sorry, I'm having trouble accessing my tools right now.";
         }
 
-        const formattedToolsForLLM: LLMTool[] = availableMcpToolsResult.tools.map((tool: ToolDefinition) => {
+        const formattedToolsForLLM: LLMTool[] = availableTools.map((tool: ToolDefinition) => {
             let parametersJsonSchema = tool.inputSchema;
             if (!parametersJsonSchema || typeof parametersJsonSchema !== 'object') {
-                if(ENABLE_DEBUG_LOGGING) console.warn(`MCPClient: Tool '${tool.name}' has invalid or missing inputSchema. Defaulting to empty parameters. Schema:`, tool.inputSchema);
+                if (isDebugLogging()) console.warn(`MCPClient: Tool '${tool.name}' has invalid or missing inputSchema. Defaulting to empty parameters. Schema:`, tool.inputSchema);
                 parametersJsonSchema = { type: "object", properties: {} };
             }
             if (typeof parametersJsonSchema.type !== 'string' || parametersJsonSchema.type !== 'object') {
@@ -242,105 +323,537 @@ class MCPClient {
         });
         debugLog("MCPClient: Tools formatted for LLM:", JSON.stringify(formattedToolsForLLM, null, 2));
 
-        let conversationHistory: ConversationMessage[] = [{ role: "user", content: query }];
-        let llmResponseJsonString = await this.requestHandler.queryWithHistory(conversationHistory, formattedToolsForLLM);
-        let parsedLlmResponse: AssistantMessage = JSON.parse(llmResponseJsonString);
+        // The overall timeout aborts whatever is in flight, like Ctrl-C, but is reported as a QueryTimeoutError.
+        const { queryTimeoutSeconds } = this.toolLoop;
+        const timeout = new AbortController();
+        const timer = queryTimeoutSeconds > 0 ? setTimeout(() => timeout.abort(), queryTimeoutSeconds * 1000) : null;
+        const signal = options.signal ? AbortSignal.any([options.signal, timeout.signal]) : timeout.signal;
+
+        // If the turn fails or is cancelled, forget it entirely so the history stays well-formed.
+        const historyMark = this.conversation.length;
+        try {
+            return await this.runTurn(query, formattedToolsForLLM, { ...options, signal });
+        } catch (error) {
+            this.conversation.truncate(historyMark);
+            if (error instanceof GenerationCancelledError && timeout.signal.aborted && !options.signal?.aborted) {
+                throw new QueryTimeoutError(queryTimeoutSeconds);
+            }
+            throw error;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    private async askLLM(tools: LLMTool[], options: QueryOptions, round: number): Promise<AssistantMessage> {
+        const startedAt = Date.now();
+        const response = await this.requestHandler.queryWithHistory(this.conversation.forRequest(), tools, options);
+        options.trace?.recordLLM(round, startedAt, response);
+        return response;
+    }
+
+    private async runTurn(query: string, formattedToolsForLLM: LLMTool[], options: QueryOptions): Promise<string> {
+        const { maxToolRounds } = this.toolLoop;
+        const state: ToolCallState = { results: new Map(), approveAll: !this.toolLoop.confirmToolCalls };
+        let rounds = 0;
+
+        this.conversation.push({ role: "user", content: query });
+        let parsedLlmResponse: AssistantMessage = await this.askLLM(formattedToolsForLLM, options, rounds);
 
         while (parsedLlmResponse.tool_calls && parsedLlmResponse.tool_calls.length > 0) {
             debugLog("MCPClient: LLM responded with tool_calls:", parsedLlmResponse.tool_calls);
-            conversationHistory.push(parsedLlmResponse); 
+            this.conversation.push(parsedLlmResponse);
+
+            if (rounds >= maxToolRounds) {
+                // Answer the pending calls without running them (the history needs a result for each),
+                // then give the model one last chance to reply in words.
+                console.warn(`MCPClient: Reached the limit of ${maxToolRounds} tool rounds; asking the model to answer without more tools.`);
+                for (const toolCall of parsedLlmResponse.tool_calls) {
+                    const content = `Not run: the limit of ${maxToolRounds} rounds of tool calls for this question was reached. Answer now with the information already gathered, and say what is missing.`;
+                    this.conversation.push({ role: "tool", tool_call_id: toolCall.id, name: toolCall.function.name, content });
+                    options.trace?.recordTool({
+                        round: rounds, tool_call_id: toolCall.id, name: toolCall.function.name, server: null,
+                        arguments: toolCall.function.arguments, outcome: "not_run", isError: true, result: content,
+                    }, Date.now());
+                }
+                parsedLlmResponse = await this.askLLM(formattedToolsForLLM, options, rounds + 1);
+                if (parsedLlmResponse.tool_calls?.length || !parsedLlmResponse.content?.trim()) throw new ToolLimitError(maxToolRounds);
+                break;
+            }
 
-            const toolCallsToExecute = parsedLlmResponse.tool_calls;
-            for (const toolCall of toolCallsToExecute) {
-                const toolName = toolCall.function.name;
-                const toolArgsString = toolCall.function.arguments;
-                let mcpCallArgs = {};
+            for (const toolCall of parsedLlmResponse.tool_calls) {
+                const startedAt = Date.now();
+                const result = await this.executeToolCall(toolCall, state, options);
+                this.conversation.push({ role: "tool", tool_call_id: toolCall.id, name: toolCall.function.name, content: result.content });
+                options.trace?.recordTool({
+                    round: rounds, tool_call_id: toolCall.id, name: toolCall.function.name, server: result.server,
+                    arguments: result.args, outcome: result.outcome, isError: result.outcome !== "ok", result: result.content,
+                }, startedAt);
+            }
+            rounds++;
+            parsedLlmResponse = await this.askLLM(formattedToolsForLLM, options, rounds);
+        }
 
-                try {
-                    mcpCallArgs = JSON.parse(toolArgsString);
-                } catch (e) {
-                    console.error(`MCPClient: Failed to parse arguments for tool ${toolName} from LLM: ${toolArgsString}`, e);
-                    conversationHistory.push({
-                        role: "tool",
-                        tool_call_id: toolCall.id,
-                        name: toolName,
-                        content: `Error: Could not parse arguments: ${toolArgsString}`,
-                    });
-                    continue; 
-                }
+        debugLog("MCPClient: Final LLM response (parsed):", parsedLlmResponse);
+        this.conversation.push({ role: "assistant", content: parsedLlmResponse.content ?? "" });
+        return parsedLlmResponse.content || "Sorry, I couldn't get a final answer or the response was empty.";
+    }
 
-                debugLog(`MCPClient: Calling MCP tool: ${toolName} with args:`, mcpCallArgs);
+    // Runs one tool call and returns the text for its tool message, with how it went for the trace. Problems the model can fix (bad JSON,
+    // unknown tool, invalid or repeated arguments) are reported back to it instead of reaching the server.
+    private async executeToolCall(toolCall: ToolCall, state: ToolCallState, options: CompletionOptions): Promise<ToolCallResult> {
+        const toolName = toolCall.function.name;
+        const toolArgsString = toolCall.function.arguments;
+        let mcpCallArgs: Record<string, unknown>;
 
-                try {
-                    const mcpToolResult = await this.mcp.callTool({ name: toolName, arguments: mcpCallArgs });
-                    debugLog('MCPClient: MCP Tool executed. Result content:', mcpToolResult.content);
-
-                    let toolResultString = "Tool returned no content or an unexpected format.";
-                    if (Array.isArray(mcpToolResult.content) && mcpToolResult.content.length > 0) {
-                        toolResultString = mcpToolResult.content
-                            .map(c => c.text || (typeof c === 'object' ? JSON.stringify(c) : String(c)))
-                            .join('\n');
-                    }
-                    if (mcpToolResult.isError) { // Check if the MCP server tool itself indicated an error
-                        toolResultString = `Tool ${toolName} execution resulted in an error from server: ${toolResultString}`;
-                    }
+        try {
+            mcpCallArgs = JSON.parse(toolArgsString);
+        } catch (e) {
+            console.error(`MCPClient: Failed to parse arguments for tool ${toolName} from LLM: ${toolArgsString}`, e);
+            return { content: `Error: Could not parse arguments: ${toolArgsString}`, outcome: "invalid_arguments", server: null, args: toolArgsString };
+        }
 
-                    conversationHistory.push({
-                        role: "tool",
-                        tool_call_id: toolCall.id,
-                        name: toolName,
-                        content: toolResultString,
-                    });
+        const route = this.toolRoutes.get(toolName);
+        if (!route) {
+            console.error(`MCPClient: LLM requested unknown tool '${toolName}'`);
+            const content = `Error: There is no tool named '${toolName}'. Available tools: ${Array.from(this.toolRoutes.keys()).join(', ')}`;
+            return { content, outcome: "unknown_tool", server: null, args: mcpCallArgs };
+        }
 
-                } catch (mcpErr: any) {
-                    console.error(`MCPClient: Error during MCP call to tool '${toolName}':`, mcpErr);
-                    conversationHistory.push({
-                        role: "tool",
-                        tool_call_id: toolCall.id,
-                        name: toolName,
-                        content: `Error executing tool ${toolName} via MCP: ${mcpErr.message || 'Unknown MCP error'}`,
-                    });
+        const server = route.connection.name;
+        const argumentCheck = validateToolArguments(route.inputSchema, mcpCallArgs);
+        if (argumentCheck.errors.length > 0) {
+            console.warn(`MCPClient: Rejected call to ${toolName} with invalid arguments:`, argumentCheck.errors.join('; '));
+            const content = `Error: Invalid arguments for ${toolName}, so it was not called: ${argumentCheck.errors.join('; ')}. Fix the arguments and call it again.`;
+            return { content, outcome: "invalid_arguments", server, args: mcpCallArgs };
+        }
+        if (argumentCheck.removed.length > 0) {
+            debugLog(`MCPClient: Dropped parameters ${toolName} does not declare:`, argumentCheck.removed.join(', '));
+            mcpCallArgs = argumentCheck.args;
+        }
+
+        const callKey = toolCallKey(toolName, mcpCallArgs);
+        const previousResult = state.results.get(callKey);
+        if (previousResult !== undefined) {
+            console.warn(`MCPClient: Skipped repeated call to ${toolName} with the same arguments.`);
+            const excerpt = previousResult.length > 2000 ? `${previousResult.slice(0, 2000)}\n[...]` : previousResult;
+            const content = `Duplicate call: ${toolName} was already called with exactly these arguments for this question, so it was not run again. Its result was:\n${excerpt}\nUse that result, or call a tool with different arguments if you need something else.`;
+            return { content, outcome: "duplicate", server, args: mcpCallArgs };
+        }
+
+        if (!state.approveAll && this.rl) {
+            this.endStreamedLine();
+            let answer: string;
+            try {
+                answer = await this.rl.question(`Run ${toolName} ${JSON.stringify(mcpCallArgs)}? [Y]es / [n]o / [a]ll for this query: `, { signal: options.signal });
+            } catch (error) {
+                if (options.signal?.aborted) throw new GenerationCancelledError();
+                throw error;
+            }
+            const choice = answer.trim().toLowerCase();
+            if (choice === 'n' || choice === 'no') {
+                const content = `The user declined to run ${toolName} with these arguments. Do not call it again with the same arguments; answer without it or ask the user how to proceed.`;
+                return { content, outcome: "declined", server, args: mcpCallArgs };
+            }
+            if (choice === 'a' || choice === 'all') state.approveAll = true;
+        }
+
+        debugLog(`MCPClient: Calling MCP tool: ${route.toolName} on '${route.connection.name}' with args:`, mcpCallArgs);
+
+        const { toolTimeoutSeconds } = this.toolLoop;
+        let toolResultString: string;
+        let outcome: ToolOutcome = "ok";
+        this.showStatus(`⏳ Running ${toolName}${this.connections.size > 1 ? ` on '${route.connection.name}'` : ''}...`);
+        try {
+            const mcpToolResult = await route.connection.client.callTool(
+                { name: route.toolName, arguments: mcpCallArgs },
+                undefined,
+                { signal: options.signal, timeout: toolTimeoutSeconds * 1000 },
+            );
+            this.clearStatus();
+            debugLog('MCPClient: MCP Tool executed. Result content:', mcpToolResult.content);
+
+            toolResultString = "Tool returned no content or an unexpected format.";
+            if (Array.isArray(mcpToolResult.content) && mcpToolResult.content.length > 0) {
+                toolResultString = mcpToolResult.content
+                    .map(c => c.text || (typeof c === 'object' ? JSON.stringify(c) : String(c)))
+                    .join('\n');
+            }
+            if (mcpToolResult.isError) { // Check if the MCP server tool itself indicated an error
+                toolResultString = `Tool ${toolName} execution resulted in an error from server: ${toolResultString}`;
+                outcome = "error";
+            }
+            // Only calls the server answered count as duplicates later; a local failure or timeout may be retried.
+            state.results.set(callKey, toolResultString);
+        } catch (mcpErr: any) {
+            this.clearStatus();
+            if (options.signal?.aborted) throw new GenerationCancelledError();
+            if (mcpErr instanceof McpError && mcpErr.code === ErrorCode.RequestTimeout) {
+                console.error(`MCPClient: Tool '${toolName}' timed out after ${toolTimeoutSeconds} s`);
+                toolResultString = `Error: ${toolName} did not respond within ${toolTimeoutSeconds} s and was cancelled. The service may be slow or down; do not retry it right away.`;
+                outcome = "timeout";
+            } else {
+                console.error(`MCPClient: Error during MCP call to tool '${toolName}':`, mcpErr);
+                toolResultString = `Error executing tool ${toolName} via MCP: ${mcpErr.message || 'Unknown MCP error'}`;
+                outcome = "error";
+            }
+        }
+        return { content: toolResultString, outcome, server, args: mcpCallArgs };
+    }
+
+    private printHistory() {
+        const messages = this.conversation.all();
+        if (messages.length === 0) {
+            console.log('History is empty.');
+            return;
+        }
+        const preview = (text: string | null) => (text || '').replace(/\s+/g, ' ').slice(0, 100);
+        messages.forEach((message, i) => {
+            if (message.role === 'assistant' && message.tool_calls?.length) {
+                const calls = message.tool_calls.map(c => `${c.function.name}(${c.function.arguments})`).join(', ');
+                console.log(`${i + 1}. assistant → ${preview(calls)}`);
+            } else if (message.role === 'tool') {
+                console.log(`${i + 1}. tool ${message.name}: ${preview(message.content)} (${message.content.length} chars)`);
+            } else {
+                console.log(`${i + 1}. ${message.role}: ${preview(message.content)}`);
+            }
+        });
+        const sent = this.conversation.forRequest();
+        console.log(`${this.conversation.turnCount} turn(s), ~${estimateTokens(messages)} tokens stored; next request sends ~${estimateTokens(sent)} of a ${this.conversation.contextTokens}-token budget.`);
+    }
+
+    private async printTools() {
+        const tools = await this.collectTools();
+        for (const tool of tools) {
+            const route = this.toolRoutes.get(tool.name);
+            const description = (tool.description || '').split('\n')[0];
+            const shortDescription = description.length > 100 ? `${description.slice(0, 99)}…` : description;
+            console.log(`  ${tool.name}${this.connections.size > 1 && route ? ` [${route.connection.name}]` : ''} — ${shortDescription}`);
+        }
+        console.log(`${tools.length} tool(s) from ${this.connections.size} server(s).`);
+    }
+
+    // Returns true when the session should end.
+    private async handleCommand(line: string): Promise<boolean> {
+        const [command, ...rest] = line.split(/\s+/);
+        const arg = rest.join(' ');
+        try {
+            switch (command) {
+                case '/reset':
+                    this.conversation.reset();
+                    console.log('Conversation cleared.');
+                    break;
+                case '/save':
+                    if (!arg) throw new Error('Usage: /save <file>');
+                    this.conversation.save(arg);
+                    console.log(`Saved ${this.conversation.length} message(s) to ${arg}.`);
+                    break;
+                case '/load': {
+                    if (!arg) throw new Error('Usage: /load <file>');
+                    const dropped = this.conversation.load(arg);
+                    console.log(`Loaded ${this.conversation.turnCount} turn(s) from ${arg}.${dropped ? ` Dropped ${dropped} message(s) of an unfinished last turn.` : ''}`);
+                    break;
                 }
+                case '/tools':
+                    await this.printTools();
+                    break;
+                case '/history':
+                    this.printHistory();
+                    break;
+                case '/model':
+                    if (arg) this.requestHandler.setModel(arg);
+                    console.log(`${arg ? 'Now using' : 'Using'} ${this.requestHandler.description}`);
+                    break;
+                case '/debug':
+                    if (arg && !['on', 'off'].includes(arg)) throw new Error('Usage: /debug [on|off]');
+                    setDebugLogging(arg ? arg === 'on' : !isDebugLogging());
+                    console.log(`Debug logging ${isDebugLogging() ? 'on' : 'off'}.`);
+                    break;
+                case '/quit':
+                    return true;
+                case '/help':
+                    console.log(SLASH_COMMAND_HELP);
+                    break;
+                default:
+                    console.log(`Unknown command ${command}. Type /help for the list.`);
             }
-            llmResponseJsonString = await this.requestHandler.queryWithHistory(conversationHistory, formattedToolsForLLM);
-            parsedLlmResponse = JSON.parse(llmResponseJsonString);
+        } catch (error: any) {
+            console.error(error.message);
         }
+        return false;
+    }
 
-        debugLog("MCPClient: Final LLM response (parsed):", parsedLlmResponse);
-        return parsedLlmResponse.content || "Sorry, I couldn't get a final answer or the response was empty.";
+    // Non-interactive mode (--query, --batch): each query starts a fresh conversation. Prints the answer,
+    // or with json one JSON line per query including the trace. Returns the process exit code.
+    async runQueries(queries: AsyncIterable<string> | Iterable<string>, { json, echoQueries }: { json: boolean; echoQueries: boolean }): Promise<number> {
+        let exitCode: number = EXIT_CODES.ok;
+        let current: AbortController | null = null;
+        let interrupted = false;
+        const onInterrupt = () => {
+            interrupted = true;
+            current?.abort();
+        };
+        process.on('SIGINT', onInterrupt);
+        try {
+            for await (const line of queries) {
+                const query = line.trim();
+                if (!query) continue;
+                if (interrupted) break;
+
+                this.conversation.reset();
+                const trace = new QueryTrace();
+                const startedAt = Date.now();
+                let answer: string | null = null;
+                let failure: { type: 'cancelled' | 'timeout' | 'tool_limit' | 'error'; message: string } | null = null;
+                current = new AbortController();
+                try {
+                    answer = await this.processQuery(query, { signal: current.signal, trace });
+                } catch (error: any) {
+                    const type = error instanceof GenerationCancelledError ? 'cancelled'
+                        : error instanceof QueryTimeoutError ? 'timeout'
+                        : error instanceof ToolLimitError ? 'tool_limit'
+                        : 'error';
+                    failure = { type, message: error?.message || String(error) };
+                    if (exitCode === EXIT_CODES.ok) {
+                        exitCode = type === 'timeout' ? EXIT_CODES.timeout : type === 'tool_limit' ? EXIT_CODES.toolLimit : EXIT_CODES.queryFailed;
+                    }
+                } finally {
+                    current = null;
+                }
+
+                if (json) {
+                    output.write(JSON.stringify({
+                        query,
+                        ok: failure === null,
+                        answer,
+                        error: failure,
+                        model: this.requestHandler.description,
+                        started_at: new Date(startedAt).toISOString(),
+                        duration_ms: Date.now() - startedAt,
+                        tool_rounds: trace.toolRounds,
+                        trace: trace.entries,
+                    }) + '\n');
+                } else {
+                    if (echoQueries) output.write(`> ${query}\n`);
+                    if (failure) console.error(`Error: ${failure.message}`);
+                    else output.write(`${answer}\n`);
+                    if (echoQueries) output.write('\n');
+                }
+            }
+        } finally {
+            process.off('SIGINT', onInterrupt);
+        }
+        return interrupted ? EXIT_CODES.interrupted : exitCode;
     }
 
+    // Ctrl-C while a query runs cancels it and returns to the prompt; at the prompt it ends the session.
+    private handleInterrupt = () => {
+        if (this.activeGeneration) {
+            this.activeGeneration.abort();
+        } else {
+            this.rl?.close();
+        }
+    };
+
     async chatLoop() {
         const rl = readline.createInterface({ input, output });
-        console.log('\nMCP Client Started! Type queries or \'quit\'.');
+        rl.setPrompt('Query: ');
+        this.rl = rl;
+        let closed = false;
+        rl.on('close', () => { closed = true; });
+        rl.on('SIGINT', this.handleInterrupt);         // Ctrl-C on a terminal (raw mode)
+        process.on('SIGINT', this.handleInterrupt);    // SIGINT from elsewhere, or stdin not a TTY
+        console.log('\nMCP Client Started! Type queries or \'quit\'. Ctrl-C cancels a running query, /help lists commands.');
         try {
             while (true) {
-                const msg = await rl.question('\nQuery: ');
+                let msg: string;
+                try {
+                    msg = await rl.question('\nQuery: ');
+                } catch (error) {
+                    if (closed) break; // Ctrl-C or end of input at the prompt
+                    throw error;
+                }
                 if (msg.toLowerCase() === 'quit') break;
-                const resp = await this.processQuery(msg);
-                console.log('\nLLM Response:\n' + resp);
+                if (!msg.trim()) continue;
+                if (msg.trim().startsWith('/')) {
+                    if (await this.handleCommand(msg.trim())) break;
+                    continue;
+                }
+
+                const controller = new AbortController();
+                this.activeGeneration = controller;
+                let streamed = false;
+                try {
+                    const resp = await this.processQuery(msg, {
+                        signal: controller.signal,
+                        onToken: text => {
+                            if (!streamed) output.write('\nLLM Response:\n');
+                            streamed = true;
+                            this.writeToken(text);
+                        },
+                    });
+                    if (streamed) this.endStreamedLine();
+                    else console.log('\nLLM Response:\n' + resp);
+                } catch (error: any) {
+                    // processQuery has already dropped the failed turn, so the session and its history carry on.
+                    this.clearStatus();
+                    this.endStreamedLine();
+                    if (error instanceof GenerationCancelledError || error instanceof QueryTimeoutError || error instanceof ToolLimitError) {
+                        console.log(error instanceof GenerationCancelledError ? '\n[Generation cancelled]' : `\n[${error.message}]`);
+                    } else {
+                        console.error(`\nQuery failed: ${error?.message || error}`);
+                        debugLog('MCPClient: Query error:', error);
+                    }
+                } finally {
+                    this.activeGeneration = null;
+                }
+                if (closed) break;
             }
         } catch (error) {
             console.error("Error in chat loop:", error);
         } finally {
+            process.off('SIGINT', this.handleInterrupt);
+            this.rl = null;
             rl.close();
         }
     }
 }
 
+const USAGE = `Usage:
+  node build/index.js [options] <path_to_mcp_server_script>
+  node build/index.js [options] --config <mcp.config.json>     (or MCP_CONFIG=<file>, or ./${DEFAULT_CONFIG_FILE})
+
+Without --query or --batch the client starts an interactive chat.
+  --query, -q <text>   Answer one query and exit
+  --batch              Answer each line of stdin as a separate query and exit
+  --json               With --query/--batch: print one JSON object per query with the answer and full trace
+
+Exit status: 0 ok, 1 a query failed, 2 usage or configuration error, 3 no MCP server connected,
+             4 a query timed out, 5 the model did not answer within --max-tool-rounds, 130 interrupted
+
+LLM options (also LLM_* environment variables or the config file's "llm" section):
+  --backend <openai|anthropic>   --model <name>   --base-url <url>
+  --temperature <n>   --max-tokens <n>   --warmup / --no-warmup   --stream / --no-stream
+  --context-tokens <n>
+
+Tool loop options (also MCP_* environment variables or the config file's "toolLoop" section):
+  --max-tool-rounds <n>   --tool-timeout <seconds>   --query-timeout <seconds>   --confirm-tools`;
+
+interface StartupOptions {
+    config: ClientConfig;
+    llm: ResolvedLLMSettings;
+    toolLoop: ResolvedToolLoopSettings;
+    run: { query?: string; batch: boolean; json: boolean };
+}
+
+// A positional server script keeps the original single-server behaviour; otherwise servers come from a config file.
+// LLM settings: command line over LLM_* environment over the config file's "llm" section.
+function resolveStartupOptions(): StartupOptions {
+    const { values, positionals } = parseArgs({
+        options: {
+            config: { type: 'string', short: 'c' },
+            backend: { type: 'string' },
+            model: { type: 'string', short: 'm' },
+            'base-url': { type: 'string' },
+            temperature: { type: 'string' },
+            'max-tokens': { type: 'string' },
+            warmup: { type: 'boolean' },
+            'no-warmup': { type: 'boolean' },
+            stream: { type: 'boolean' },
+            'no-stream': { type: 'boolean' },
+            'context-tokens': { type: 'string' },
+            'max-tool-rounds': { type: 'string' },
+            'tool-timeout': { type: 'string' },
+            'query-timeout': { type: 'string' },
+            'confirm-tools': { type: 'boolean' },
+            query: { type: 'string', short: 'q' },
+            batch: { type: 'boolean' },
+            json: { type: 'boolean' },
+        },
+        allowPositionals: true,
+    });
+    const run = { query: values.query, batch: !!values.batch, json: !!values.json };
+    const nonInteractive = run.query !== undefined || run.batch;
+    if (run.query !== undefined && run.batch) throw new Error('Use either --query or --batch, not both.');
+    if (run.json && !nonInteractive) throw new Error('--json needs --query or --batch.');
+
+    const configPath = values.config || process.env.MCP_CONFIG;
+    let config: ClientConfig;
+    if (configPath) config = loadClientConfig(configPath);
+    else if (positionals[0]) config = legacyServerConfig(positionals[0]);
+    else if (existsSync(DEFAULT_CONFIG_FILE)) config = loadClientConfig(DEFAULT_CONFIG_FILE);
+    else throw new Error('No MCP server given.');
+
+    const cliNumber = (name: string, value: string | undefined) => {
+        if (value === undefined) return undefined;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed)) throw new Error(`--${name} must be a number, got '${value}'`);
+        return parsed;
+    };
+    const llm = resolveLLMSettings(config.llm, llmSettingsFromEnv(), {
+        backend: values.backend as LLMBackendName | undefined,
+        model: values.model,
+        baseUrl: values['base-url'],
+        temperature: cliNumber('temperature', values.temperature),
+        maxTokens: cliNumber('max-tokens', values['max-tokens']),
+        warmup: values['no-warmup'] ? false : values.warmup,
+        stream: values['no-stream'] ? false : values.stream,
+        contextTokens: cliNumber('context-tokens', values['context-tokens']),
+    });
+    const toolLoop = resolveToolLoopSettings(config.toolLoop, toolLoopSettingsFromEnv(), {
+        maxToolRounds: cliNumber('max-tool-rounds', values['max-tool-rounds']),
+        toolTimeoutSeconds: cliNumber('tool-timeout', values['tool-timeout']),
+        queryTimeoutSeconds: cliNumber('query-timeout', values['query-timeout']),
+        confirmToolCalls: values['confirm-tools'],
+    });
+    if (toolLoop.confirmToolCalls && nonInteractive) throw new Error('Tool-call confirmation needs the interactive chat; it cannot be used with --query or --batch.');
+    return { config, llm, toolLoop, run };
+}
+
 (async () => {
+    let options: StartupOptions;
+    try {
+        options = resolveStartupOptions();
+    } catch (error: any) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(EXIT_CODES.usage);
+    }
+    const { run } = options;
+    if (run.query !== undefined || run.batch) {
+        // stdout carries only answers (or JSON); progress and log lines go to stderr.
+        setStatusStream(process.stderr);
+    }
+
+    let handler: RequestHandler;
     try {
-        const handler = await RequestHandler.create();
-        const client = new MCPClient(handler);
-        const serverScript = process.argv[2];
-        if (!serverScript) {
-            console.error('Usage: node build/index.js <path_to_mcp_server_script>');
-            process.exit(1);
+        handler = await RequestHandler.create(options.llm);
+    } catch (error: any) {
+        console.error(error.message);
+        process.exit(EXIT_CODES.usage);
+    }
+    statusLog(`Using LLM ${handler.description}`);
+    const client = new MCPClient(handler, options.llm.contextTokens, options.toolLoop);
+    try {
+        await client.connectToServers(options.config);
+    } catch (error: any) {
+        console.error(error.message);
+        await client.cleanup();
+        process.exit(EXIT_CODES.noServers);
+    }
+
+    try {
+        let exitCode: number = EXIT_CODES.ok;
+        if (run.query !== undefined) {
+            exitCode = await client.runQueries([run.query], { json: run.json, echoQueries: false });
+        } else if (run.batch) {
+            exitCode = await client.runQueries(readline.createInterface({ input, terminal: false }), { json: run.json, echoQueries: true });
+        } else {
+            await client.chatLoop();
         }
-        await client.connectToServer(serverScript);
-        await client.chatLoop();
+        await client.cleanup();
+        await new Promise(resolve => output.write('', resolve)); // let piped output drain before exiting
+        process.exit(exitCode);
     } catch (error) {
         console.error("Fatal error in main:", error);
-        process.exit(1);
+        process.exit(EXIT_CODES.queryFailed);
     }
 })();
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mergeToolCallDelta, readSSEData, resolveLLMSettings, type ToolCall } from "./llmBackends.js";
+
+async function collect(chunks: (string | Buffer)[]): Promise<string[]> {
+    async function* source() { yield* chunks; }
+    const events: string[] = [];
+    for await (const data of readSSEData(source())) events.push(data);
+    return events;
+}
+
+test("readSSEData splits events across chunk boundaries", async () => {
+    assert.deepEqual(await collect(["data: {\"a\"", ":1}\n\ndata: [DO", "NE]\n\n"]), ["{\"a\":1}", "[DONE]"]);
+});
+
+test("readSSEData joins multi-line data, skips comments and accepts CRLF", async () => {
+    assert.deepEqual(await collect([": keep-alive\r\n\r\ndata: one\r\ndata:two\r\n\r\n"]), ["one\ntwo"]);
+});
+
+test("readSSEData yields a final event without a trailing blank line", async () => {
+    assert.deepEqual(await collect(["data: last"]), ["last"]);
+});
+
+test("readSSEData decodes UTF-8 split across Buffer chunks", async () => {
+    const bytes = Buffer.from("data: café\n\n");
+    assert.deepEqual(await collect([bytes.subarray(0, 10), bytes.subarray(10)]), ["café"]);
+});
+
+test("mergeToolCallDelta reassembles indexed fragments", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDelta(calls, { index: 0, id: "call_1", function: { name: "get-alerts", arguments: "{\"st" } }, 0);
+    mergeToolCallDelta(calls, { index: 1, id: "call_2", function: { name: "get-forecast", arguments: "{}" } }, 1);
+    mergeToolCallDelta(calls, { index: 0, function: { arguments: "ate\":\"CA\"}" } }, 0);
+    assert.deepEqual(calls.map(c => [c.id, c.function.name, c.function.arguments]), [
+        ["call_1", "get-alerts", "{\"state\":\"CA\"}"],
+        ["call_2", "get-forecast", "{}"],
+    ]);
+});
+
+test("mergeToolCallDelta keeps whole unindexed calls sent one per chunk apart", () => {
+    const calls: ToolCall[] = [];
+    mergeToolCallDelta(calls, { id: "call_1", function: { name: "get-alerts", arguments: { state: "CA" } } }, 0);
+    mergeToolCallDelta(calls, { id: "call_2", function: { name: "get-alerts", arguments: { state: "NV" } } }, 0);
+    assert.deepEqual(calls.map(c => [c.id, c.function.arguments]), [["call_1", "{\"state\":\"CA\"}"], ["call_2", "{\"state\":\"NV\"}"]]);
+});
+
+test("resolveLLMSettings applies defaults per backend and rejects bad values", () => {
+    assert.equal(resolveLLMSettings({}).model, "hhao/qwen2.5-coder-tools");
+    assert.equal(resolveLLMSettings({ backend: "anthropic" }).warmup, false);
+    assert.equal(resolveLLMSettings({ temperature: 0.5 }, { temperature: 1 }).temperature, 1);
+    assert.throws(() => resolveLLMSettings({ backend: "other" as never }), /Unknown LLM backend/);
+    assert.throws(() => resolveLLMSettings({ maxTokens: 0 }), /maxTokens/);
+});
@@ -0,0 +1,411 @@
+import Anthropic from "@anthropic-ai/sdk";
+import type { RequestInit, Response } from "node-fetch";
+import { debugLog } from "./debug.js";
+import { mergeSettings, parseBooleanSetting, parseNumberSetting } from "./settings.js";
+
+type Fetch = (url: string, init?: RequestInit) => Promise<Response>;
+
+// --- Type definitions for LLM Messages (OpenAI Style) ---
+// The conversation is always kept in this shape; backends that speak another format convert at the edge.
+export interface SystemMessage {
+    role: "system";
+    content: string;
+}
+
+export interface UserMessage {
+    role: "user";
+    content: string;
+}
+
+export interface AssistantMessage {
+    role: "assistant";
+    content: string | null;
+    tool_calls?: ToolCall[];
+}
+
+export interface ToolCall {
+    id: string;
+    type: "function";
+    function: {
+        name: string;
+        arguments: string;
+    };
+}
+
+export interface ToolResultMessage {
+    role: "tool";
+    tool_call_id: string;
+    name: string;
+    content: string;
+}
+
+export type ConversationMessage = SystemMessage | UserMessage | AssistantMessage | ToolResultMessage;
+
+// --- Type for formatted tools for LLM ---
+export interface LLMTool {
+    type: "function";
+    function: {
+        name: string;
+        description?: string;
+        parameters: Record<string, any>;
+    };
+}
+
+// --- Backend settings ---
+export const LLM_BACKENDS = ["openai", "anthropic"] as const;
+export type LLMBackendName = typeof LLM_BACKENDS[number];
+
+export interface LLMSettings {
+    backend?: LLMBackendName;
+    model?: string;
+    baseUrl?: string;       // openai: full chat/completions URL; anthropic: API base URL
+    apiKey?: string;
+    temperature?: number;
+    maxTokens?: number;
+    warmup?: boolean;       // send a "Hello!" first, e.g. so Ollama loads the model before the first query
+    stream?: boolean;       // ask for incremental output and report tokens as they arrive
+    contextTokens?: number; // rough budget for the conversation sent with each request (see conversation.ts)
+}
+
+const DEFAULTS: Record<LLMBackendName, Required<Pick<LLMSettings, "model" | "warmup">> & { baseUrl?: string }> = {
+    openai: { model: "hhao/qwen2.5-coder-tools", baseUrl: "http://localhost:11434/v1/chat/completions", warmup: true },
+    // The SDK picks its own base URL (or ANTHROPIC_BASE_URL) when none is given.
+    anthropic: { model: "claude-sonnet-4-0", warmup: false },
+};
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_TEMPERATURE = 0.2;
+const DEFAULT_CONTEXT_TOKENS = 8000;
+
+// LLM_* variables; the provider's usual key variable is used when LLM_API_KEY is unset.
+export function llmSettingsFromEnv(env: NodeJS.ProcessEnv = process.env): LLMSettings {
+    return {
+        backend: env.LLM_BACKEND as LLMBackendName | undefined,
+        model: env.LLM_MODEL,
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        temperature: parseNumberSetting("LLM_TEMPERATURE", env.LLM_TEMPERATURE),
+        maxTokens: parseNumberSetting("LLM_MAX_TOKENS", env.LLM_MAX_TOKENS),
+        warmup: parseBooleanSetting("LLM_WARMUP", env.LLM_WARMUP),
+        stream: parseBooleanSetting("LLM_STREAM", env.LLM_STREAM),
+        contextTokens: parseNumberSetting("LLM_CONTEXT_TOKENS", env.LLM_CONTEXT_TOKENS),
+    };
+}
+
+// Validates the "llm" section of the client config file.
+export function validateLLMSettings(raw: any, where = "llm"): LLMSettings {
+    if (typeof raw !== "object" || raw === null || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+    for (const key of ["model", "baseUrl", "apiKey"]) {
+        if (raw[key] !== undefined && typeof raw[key] !== "string") throw new Error(`${where}.${key} must be a string`);
+    }
+    for (const key of ["temperature", "maxTokens", "contextTokens"]) {
+        if (raw[key] !== undefined && (typeof raw[key] !== "number" || !Number.isFinite(raw[key]))) throw new Error(`${where}.${key} must be a number`);
+    }
+    for (const key of ["warmup", "stream"]) {
+        if (raw[key] !== undefined && typeof raw[key] !== "boolean") throw new Error(`${where}.${key} must be true or false`);
+    }
+    return raw as LLMSettings;
+}
+
+// Sources in increasing priority: config file, env, CLI.
+export function resolveLLMSettings(...sources: (LLMSettings | undefined)[]): Required<Omit<LLMSettings, "baseUrl" | "apiKey">> & Pick<LLMSettings, "baseUrl" | "apiKey"> {
+    const merged = mergeSettings<LLMSettings>(...sources);
+    const backend = merged.backend || "openai";
+    if (!LLM_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown LLM backend '${backend}'. Expected one of: ${LLM_BACKENDS.join(", ")}`);
+    }
+    const defaults = DEFAULTS[backend];
+    const maxTokens = merged.maxTokens ?? DEFAULT_MAX_TOKENS;
+    if (!Number.isInteger(maxTokens) || maxTokens < 1) throw new Error(`maxTokens must be a positive integer, got ${maxTokens}`);
+    const temperature = merged.temperature ?? DEFAULT_TEMPERATURE;
+    if (temperature < 0 || temperature > 2) throw new Error(`temperature must be between 0 and 2, got ${temperature}`);
+    const contextTokens = merged.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+    if (!Number.isInteger(contextTokens) || contextTokens < 500) throw new Error(`contextTokens must be an integer of at least 500, got ${contextTokens}`);
+    return {
+        backend,
+        model: merged.model || defaults.model,
+        baseUrl: merged.baseUrl || defaults.baseUrl,
+        apiKey: merged.apiKey || (backend === "anthropic" ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY),
+        temperature,
+        maxTokens,
+        warmup: merged.warmup ?? defaults.warmup,
+        stream: merged.stream ?? true,
+        contextTokens,
+    };
+}
+
+export type ResolvedLLMSettings = ReturnType<typeof resolveLLMSettings>;
+
+// --- Backends ---
+export interface CompletionOptions {
+    signal?: AbortSignal;               // aborting rejects the completion with GenerationCancelledError
+    onToken?: (text: string) => void;   // called with each text delta when streaming
+}
+
+export class GenerationCancelledError extends Error {
+    constructor() {
+        super("Generation cancelled");
+        this.name = "GenerationCancelledError";
+    }
+}
+
+export interface LLMBackend {
+    readonly name: LLMBackendName;
+    model: string; // may be switched between requests (/model)
+    complete(messages: ConversationMessage[], tools?: LLMTool[], options?: CompletionOptions): Promise<AssistantMessage>;
+}
+
+// --- Server-sent events ---
+// Yields the data payload of each event; multi-line data is joined with "\n" and comment-only events are skipped.
+export async function* readSSEData(body: AsyncIterable<Buffer | string>): AsyncGenerator<string> {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    const eventData = (event: string) => event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith("data:"))
+        .map(line => line.slice(line.startsWith("data: ") ? 6 : 5));
+    for await (const chunk of body) {
+        buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+        let boundary: RegExpExecArray | null;
+        while ((boundary = /\r?\n\r?\n/.exec(buffer)) !== null) {
+            const data = eventData(buffer.slice(0, boundary.index));
+            buffer = buffer.slice(boundary.index + boundary[0].length);
+            if (data.length > 0) yield data.join("\n");
+        }
+    }
+    const data = eventData(buffer + decoder.decode());
+    if (data.length > 0) yield data.join("\n");
+}
+
+interface ToolCallDelta {
+    index?: number;
+    id?: string;
+    function?: { name?: string; arguments?: string | Record<string, unknown> };
+}
+
+// Streamed tool calls arrive in pieces keyed by index: the id and name first, then the arguments JSON in fragments.
+// Some servers send each call whole and without an index, so the position within the chunk is the fallback;
+// an unindexed delta whose id differs from the call already in that slot starts a new call instead.
+export function mergeToolCallDelta(toolCalls: ToolCall[], delta: ToolCallDelta, position: number) {
+    let index = typeof delta.index === "number" ? delta.index : position;
+    if (typeof delta.index !== "number" && delta.id && toolCalls[index]?.id && toolCalls[index].id !== delta.id) {
+        index = toolCalls.length;
+    }
+    const call = toolCalls[index] ??= { id: "", type: "function", function: { name: "", arguments: "" } };
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    const args = delta.function?.arguments;
+    if (args !== undefined) call.function.arguments += typeof args === "string" ? args : JSON.stringify(args);
+}
+
+// Any server exposing OpenAI's /v1/chat/completions: Ollama, llama.cpp, vLLM, LM Studio, OpenAI itself.
+export class OpenAICompatibleBackend implements LLMBackend {
+    readonly name = "openai";
+    model: string;
+    private serverUrl: string;
+    private fetchFn: Fetch | null = null;
+
+    constructor(private settings: ResolvedLLMSettings) {
+        this.model = settings.model;
+        this.serverUrl = settings.baseUrl!;
+    }
+
+    async complete(messages: ConversationMessage[], tools?: LLMTool[], options: CompletionOptions = {}): Promise<AssistantMessage> {
+        try {
+            return await this.request(messages, tools, options);
+        } catch (e) {
+            if (options.signal?.aborted) throw new GenerationCancelledError();
+            throw e;
+        }
+    }
+
+    private async request(messages: ConversationMessage[], tools: LLMTool[] | undefined, { signal, onToken }: CompletionOptions): Promise<AssistantMessage> {
+        if (!this.fetchFn) {
+            const { default: fetchImport } = await import('node-fetch');
+            this.fetchFn = fetchImport as Fetch;
+        }
+
+        const body: Record<string, any> = {
+            model: this.model,
+            messages: messages,
+            max_tokens: this.settings.maxTokens,
+            temperature: this.settings.temperature,
+            stream: this.settings.stream,
+        };
+
+        if (tools && tools.length > 0) {
+            body.tools = tools;
+            body.tool_choice = "auto";
+        }
+
+        debugLog("OpenAICompatibleBackend: Sending to LLM:", JSON.stringify(body, null, 2));
+
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+        if (this.settings.apiKey) headers.Authorization = `Bearer ${this.settings.apiKey}`;
+        const res = await this.fetchFn(this.serverUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: signal as any, // node-fetch declares its own AbortSignal type
+        });
+
+        if (!res.ok) {
+            const errorText = await res.text();
+            console.error("OpenAICompatibleBackend: LLM API Error:", res.status, errorText);
+            throw new Error(`Request failed: ${res.status} - ${errorText}`);
+        }
+
+        // Some servers ignore `stream` (or refuse it when tools are present) and answer with plain JSON.
+        if (this.settings.stream && (res.headers.get('content-type') || '').includes('text/event-stream')) {
+            return this.readStream(res.body, onToken);
+        }
+
+        const data = await res.json();
+        debugLog("OpenAICompatibleBackend: Received from LLM:", JSON.stringify(data, null, 2));
+
+        if (data.choices && data.choices.length > 0 && data.choices[0].message) {
+            const message = data.choices[0].message;
+            return { role: "assistant", content: message.content ?? null, tool_calls: message.tool_calls?.length ? message.tool_calls : undefined };
+        }
+        throw new Error("Unexpected LLM response format from OpenAICompatibleBackend");
+    }
+
+    private async readStream(body: NodeJS.ReadableStream, onToken?: (text: string) => void): Promise<AssistantMessage> {
+        let content = "";
+        const toolCalls: ToolCall[] = [];
+        for await (const data of readSSEData(body as AsyncIterable<Buffer>)) {
+            if (data === "[DONE]") break;
+            let chunk: any;
+            try {
+                chunk = JSON.parse(data);
+            } catch {
+                debugLog("OpenAICompatibleBackend: Skipping unparseable stream event:", data);
+                continue;
+            }
+            if (chunk.error) {
+                throw new Error(`LLM stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+            }
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) continue;
+            if (typeof delta.content === "string" && delta.content !== "") {
+                content += delta.content;
+                onToken?.(delta.content);
+            }
+            if (Array.isArray(delta.tool_calls)) {
+                delta.tool_calls.forEach((callDelta: ToolCallDelta, position: number) => mergeToolCallDelta(toolCalls, callDelta, position));
+            }
+        }
+
+        const completeCalls = toolCalls
+            .filter(call => call && call.function.name)
+            .map((call, i) => ({ ...call, id: call.id || `call_${i}`, function: { ...call.function, arguments: call.function.arguments || "{}" } }));
+        debugLog("OpenAICompatibleBackend: Streamed response:", { content, tool_calls: completeCalls });
+        return { role: "assistant", content: content || null, tool_calls: completeCalls.length > 0 ? completeCalls : undefined };
+    }
+}
+
+// Anthropic's Messages API. Tool calls become tool_use blocks on the assistant turn, and tool results
+// become tool_result blocks on the following user turn.
+export class AnthropicBackend implements LLMBackend {
+    readonly name = "anthropic";
+    model: string;
+    private client: Anthropic;
+
+    constructor(private settings: ResolvedLLMSettings) {
+        this.model = settings.model;
+        this.client = new Anthropic({ apiKey: settings.apiKey, baseURL: settings.baseUrl });
+    }
+
+    async complete(messages: ConversationMessage[], tools?: LLMTool[], { signal, onToken }: CompletionOptions = {}): Promise<AssistantMessage> {
+        const request: Anthropic.MessageCreateParamsNonStreaming = {
+            model: this.model,
+            max_tokens: this.settings.maxTokens,
+            temperature: Math.min(this.settings.temperature, 1), // Anthropic accepts 0..1
+            messages: toAnthropicMessages(messages),
+        };
+        const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+        if (system) request.system = system;
+        if (tools && tools.length > 0) {
+            request.tools = tools.map(toAnthropicTool);
+        }
+        debugLog("AnthropicBackend: Sending to LLM:", JSON.stringify(request, null, 2));
+
+        let response: Anthropic.Message;
+        try {
+            if (this.settings.stream) {
+                const stream = this.client.messages.stream(request, { signal });
+                if (onToken) stream.on("text", delta => onToken(delta));
+                response = await stream.finalMessage();
+            } else {
+                response = await this.client.messages.create(request, { signal });
+            }
+        } catch (e) {
+            if (signal?.aborted) throw new GenerationCancelledError();
+            throw e;
+        }
+        debugLog("AnthropicBackend: Received from LLM:", JSON.stringify(response, null, 2));
+        return fromAnthropicMessage(response);
+    }
+}
+
+function toAnthropicTool(tool: LLMTool): Anthropic.Tool {
+    return {
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: { ...tool.function.parameters, type: "object" },
+    };
+}
+
+export function toAnthropicMessages(messages: ConversationMessage[]): Anthropic.MessageParam[] {
+    const result: Anthropic.MessageParam[] = [];
+    for (const message of messages) {
+        if (message.role === "system") {
+            continue; // sent as the top-level `system` parameter instead
+        } else if (message.role === "user") {
+            result.push({ role: "user", content: message.content });
+        } else if (message.role === "assistant") {
+            const content: Anthropic.ContentBlockParam[] = [];
+            if (message.content) content.push({ type: "text", text: message.content });
+            for (const call of message.tool_calls || []) {
+                let input: unknown = {};
+                try {
+                    input = JSON.parse(call.function.arguments || "{}");
+                } catch {
+                    // Keep the turn well-formed; the matching tool result already reports the parse error.
+                }
+                content.push({ type: "tool_use", id: call.id, name: call.function.name, input });
+            }
+            if (content.length > 0) result.push({ role: "assistant", content });
+        } else {
+            // Consecutive tool results belong in a single user turn.
+            const block: Anthropic.ToolResultBlockParam = { type: "tool_result", tool_use_id: message.tool_call_id, content: message.content };
+            const previous = result[result.length - 1];
+            if (previous?.role === "user" && Array.isArray(previous.content) && previous.content.every(b => b.type === "tool_result")) {
+                previous.content.push(block);
+            } else {
+                result.push({ role: "user", content: [block] });
+            }
+        }
+    }
+    return result;
+}
+
+export function fromAnthropicMessage(response: Anthropic.Message): AssistantMessage {
+    const text = response.content
+        .filter((block): block is Anthropic.TextBlock => block.type === "text")
+        .map(block => block.text)
+        .join("");
+    const toolCalls: ToolCall[] = response.content
+        .filter((block): block is Anthropic.ToolUseBlock => block.type === "tool_use")
+        .map(block => ({ id: block.id, type: "function", function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) } }));
+    return { role: "assistant", content: text || null, tool_calls: toolCalls.length > 0 ? toolCalls : undefined };
+}
+
+export function createBackend(settings: ResolvedLLMSettings): LLMBackend {
+    switch (settings.backend) {
+        case "anthropic":
+            if (!settings.apiKey) throw new Error("The anthropic backend needs an API key: set ANTHROPIC_API_KEY or LLM_API_KEY.");
+            return new AnthropicBackend(settings);
+        case "openai":
+            return new OpenAICompatibleBackend(settings);
+    }
+}
@@ -0,0 +1,161 @@
+import { readFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { Client as McpClientSDK } from "@modelcontextprotocol/sdk/client/index.js";
+import { getDefaultEnvironment, StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import type { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { debugLog } from "./debug.js";
+import { validateLLMSettings, type LLMSettings } from "./llmBackends.js";
+import { validateToolLoopSettings, type ToolLoopSettings } from "./toolSafeguards.js";
+
+// --- MCP server configuration ---
+// A JSON file with an `mcpServers` map, in the same shape other MCP clients use:
+//
+//   {
+//     "mcpServers": {
+//       "weather": { "command": "node", "args": ["../weather_mcp_server/build/index.js"], "env": { "WEATHER_UNITS": "metric" } },
+//       "notes":   { "url": "http://localhost:3000/mcp", "headers": { "Authorization": "Bearer ${NOTES_TOKEN}" } }
+//     }
+//   }
+//
+// `${VAR}` in args, env, url and headers is replaced from the client's environment.
+
+export interface ServerConfig {
+    command?: string;                   // stdio: executable to spawn
+    args?: string[];
+    env?: Record<string, string>;       // added to the SDK's safe default environment
+    cwd?: string;                       // relative paths resolve against the config file
+    url?: string;                       // Streamable HTTP endpoint instead of command
+    headers?: Record<string, string>;   // sent with every HTTP request, e.g. Authorization
+    toolPrefix?: string;                // defaults to "<name>__"; "" exposes tool names unprefixed
+    subscribe?: string[];               // resource URIs to subscribe to after connecting
+    disabled?: boolean;
+}
+
+export interface ClientConfig {
+    mcpServers: Record<string, ServerConfig>;
+    llm?: LLMSettings;                  // backend/model settings; env and command line override these
+    toolLoop?: ToolLoopSettings;        // tool-call limits and timeouts; likewise overridable
+}
+
+// Define ToolDefinition type locally since it's not exported by the SDK
+export interface ToolDefinition {
+    name: string;
+    description?: string;
+    inputSchema?: Record<string, any>;
+}
+
+// Define ListToolsResult type locally if not exported by the SDK
+export interface ListToolsResult {
+    tools: ToolDefinition[];
+}
+
+function expandEnv(value: string): string {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? "");
+}
+
+function expandRecord(record: Record<string, string> | undefined): Record<string, string> | undefined {
+    if (!record) return undefined;
+    return Object.fromEntries(Object.entries(record).map(([key, value]) => [key, expandEnv(String(value))]));
+}
+
+function isStringRecord(value: unknown): value is Record<string, string> {
+    return typeof value === "object" && value !== null && !Array.isArray(value) && Object.values(value).every(v => typeof v === "string");
+}
+
+// Throws with a message naming the offending server so a typo doesn't surface as a spawn error later.
+function validateServerConfig(name: string, entry: any): ServerConfig {
+    if (typeof entry !== "object" || entry === null) throw new Error(`mcpServers.${name} must be an object`);
+    if (!entry.command === !entry.url) throw new Error(`mcpServers.${name} needs exactly one of "command" or "url"`);
+    if (entry.command !== undefined && typeof entry.command !== "string") throw new Error(`mcpServers.${name}.command must be a string`);
+    if (entry.url !== undefined && typeof entry.url !== "string") throw new Error(`mcpServers.${name}.url must be a string`);
+    if (entry.args !== undefined && (!Array.isArray(entry.args) || !entry.args.every((a: unknown) => typeof a === "string"))) {
+        throw new Error(`mcpServers.${name}.args must be an array of strings`);
+    }
+    for (const key of ["env", "headers"]) {
+        if (entry[key] !== undefined && !isStringRecord(entry[key])) throw new Error(`mcpServers.${name}.${key} must map names to strings`);
+    }
+    if (entry.cwd !== undefined && typeof entry.cwd !== "string") throw new Error(`mcpServers.${name}.cwd must be a string`);
+    if (entry.toolPrefix !== undefined && (typeof entry.toolPrefix !== "string" || !/^[A-Za-z0-9_-]*$/.test(entry.toolPrefix))) {
+        throw new Error(`mcpServers.${name}.toolPrefix may only contain letters, digits, '_' and '-'`);
+    }
+    if (entry.subscribe !== undefined && (!Array.isArray(entry.subscribe) || !entry.subscribe.every((u: unknown) => typeof u === "string"))) {
+        throw new Error(`mcpServers.${name}.subscribe must be an array of URIs`);
+    }
+    return entry as ServerConfig;
+}
+
+export function loadClientConfig(configPath: string): ClientConfig {
+    const raw = JSON.parse(readFileSync(configPath, "utf8"));
+    if (typeof raw !== "object" || raw === null || typeof raw.mcpServers !== "object" || raw.mcpServers === null) {
+        throw new Error(`${configPath} must contain an "mcpServers" object`);
+    }
+    const baseDir = dirname(resolve(configPath));
+    const mcpServers: Record<string, ServerConfig> = {};
+    for (const [name, entry] of Object.entries(raw.mcpServers)) {
+        if (!/^[A-Za-z0-9_-]+$/.test(name)) throw new Error(`Server name '${name}' may only contain letters, digits, '_' and '-'`);
+        const server = validateServerConfig(name, entry);
+        mcpServers[name] = { ...server, cwd: server.command ? resolve(baseDir, server.cwd || ".") : undefined };
+    }
+    const llm = raw.llm === undefined ? undefined : validateLLMSettings(raw.llm);
+    const toolLoop = raw.toolLoop === undefined ? undefined : validateToolLoopSettings(raw.toolLoop);
+    return { mcpServers, llm, toolLoop };
+}
+
+// The original single-server invocation: `node build/index.js path/to/server.js`.
+export function legacyServerConfig(serverPath: string): ClientConfig {
+    const isJs = serverPath.endsWith('.js');
+    const command = isJs ? process.execPath : 'python3';
+    // No prefix, so the tool names the model sees are unchanged.
+    return { mcpServers: { server: { command, args: [serverPath], toolPrefix: "" } } };
+}
+
+function createTransport(config: ServerConfig): Transport {
+    if (config.url) {
+        return new StreamableHTTPClientTransport(new URL(expandEnv(config.url)), {
+            requestInit: { headers: expandRecord(config.headers) },
+        });
+    }
+    return new StdioClientTransport({
+        command: config.command!,
+        args: (config.args || []).map(expandEnv),
+        env: config.env ? { ...getDefaultEnvironment(), ...expandRecord(config.env) } : undefined,
+        cwd: config.cwd,
+    });
+}
+
+export class ServerConnection {
+    readonly client: McpClientSDK;
+    readonly toolPrefix: string;
+    tools: ToolDefinition[] = [];
+
+    constructor(readonly name: string, readonly config: ServerConfig) {
+        this.client = new McpClientSDK({ name: 'mcp-client-cli', version: '1.0.0' });
+        this.toolPrefix = config.toolPrefix ?? `${name}__`;
+    }
+
+    async connect() {
+        debugLog(`ServerConnection(${this.name}): connecting via`, this.config.url ? `HTTP ${this.config.url}` : `stdio ${this.config.command}`);
+        await this.client.connect(createTransport(this.config));
+        await this.refreshTools();
+    }
+
+    async refreshTools(): Promise<ToolDefinition[]> {
+        const listToolsResult: ListToolsResult = await this.client.listTools();
+        if (listToolsResult && Array.isArray(listToolsResult.tools)) {
+            this.tools = listToolsResult.tools;
+        } else {
+            debugLog(`ServerConnection(${this.name}): unexpected listTools format:`, listToolsResult);
+            this.tools = [];
+        }
+        return this.tools;
+    }
+
+    async close() {
+        try {
+            await this.client.close();
+        } catch (e: any) {
+            debugLog(`ServerConnection(${this.name}): error while closing:`, e.message);
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// --- Settings helpers ---
+// Parsing for environment variables; empty or unset values mean "not set".
+
+export function parseNumberSetting(name: string, value: string | undefined): number | undefined {
+    if (value === undefined || value.trim() === "") return undefined;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) throw new Error(`${name} must be a number, got '${value}'`);
+    return parsed;
+}
+
+export function parseBooleanSetting(name: string, value: string | undefined): boolean | undefined {
+    if (value === undefined || value.trim() === "") return undefined;
+    if (/^(1|true|yes|on)$/i.test(value)) return true;
+    if (/^(0|false|no|off)$/i.test(value)) return false;
+    throw new Error(`${name} must be true or false, got '${value}'`);
+}
+
+// Later sources win: pass them lowest priority first (config file, env, CLI). Undefined fields never override.
+export function mergeSettings<T extends object>(...sources: (Partial<T> | undefined)[]): Partial<T> {
+    const merged: Partial<T> = {};
+    for (const source of sources) {
+        for (const [key, value] of Object.entries(source || {})) {
+            if (value !== undefined) (merged as any)[key] = value;
+        }
+    }
+    return merged;
+}
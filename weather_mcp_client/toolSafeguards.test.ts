@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveToolLoopSettings, toolCallKey, validateToolArguments } from "./toolSafeguards.js";
+
+const forecastSchema = {
+    type: "object",
+    properties: {
+        latitude: { type: "number", minimum: -90, maximum: 90 },
+        longitude: { type: "number", minimum: -180, maximum: 180 },
+        units: { type: "string", enum: ["metric", "imperial"] },
+        days: { type: "integer", exclusiveMinimum: 0 },
+        tags: { type: "array", items: { type: "object", properties: { name: { type: "string" } }, additionalProperties: false }, maxItems: 2 },
+    },
+    required: ["latitude", "longitude"],
+    additionalProperties: false,
+};
+
+test("toolCallKey ignores object key order", () => {
+    assert.equal(toolCallKey("t", { a: 1, b: { c: 2, d: [3] } }), toolCallKey("t", { b: { d: [3], c: 2 }, a: 1 }));
+    assert.notEqual(toolCallKey("t", { a: 1 }), toolCallKey("t", { a: 2 }));
+    assert.notEqual(toolCallKey("t", { a: 1 }), toolCallKey("u", { a: 1 }));
+});
+
+test("valid arguments pass unchanged", () => {
+    const args = { latitude: 40, longitude: -74, units: "metric", days: 3 };
+    assert.deepEqual(validateToolArguments(forecastSchema, args), { errors: [], args, removed: [] });
+});
+
+test("type, required, enum and range violations are errors", () => {
+    const { errors } = validateToolArguments(forecastSchema, { latitude: "40", units: "kelvin", days: 0 });
+    assert.deepEqual(errors, [
+        "arguments.longitude is required",
+        "arguments.latitude must be number, got string",
+        "arguments.units must be one of \"metric\", \"imperial\", got \"kelvin\"",
+        "arguments.days must be > 0, got 0",
+    ]);
+    assert.deepEqual(validateToolArguments(forecastSchema, { latitude: 91, longitude: 0 }).errors, ["arguments.latitude must be <= 90, got 91"]);
+    assert.deepEqual(validateToolArguments(forecastSchema, []).errors, ["arguments must be a JSON object"]);
+});
+
+test("undeclared parameters are dropped, not rejected", () => {
+    const check = validateToolArguments(forecastSchema, { latitude: 40, longitude: -74, reason: "user asked", tags: [{ name: "x", extra: true }] });
+    assert.deepEqual(check.errors, []);
+    assert.deepEqual(check.args, { latitude: 40, longitude: -74, tags: [{ name: "x" }] });
+    assert.deepEqual(check.removed, ["arguments.reason", "arguments.tags[0].extra"]);
+});
+
+test("anyOf accepts any matching branch", () => {
+    const schema = { type: "object", properties: { location: { anyOf: [{ type: "string", minLength: 1 }, { type: "number" }] } } };
+    assert.deepEqual(validateToolArguments(schema, { location: 5 }).errors, []);
+    assert.match(validateToolArguments(schema, { location: true }).errors[0], /does not match any allowed form/);
+});
+
+test("resolveToolLoopSettings fills defaults and rejects bad limits", () => {
+    assert.equal(resolveToolLoopSettings({}).maxToolRounds, 8);
+    assert.equal(resolveToolLoopSettings({ maxToolRounds: 2 }, { maxToolRounds: 3 }).maxToolRounds, 3);
+    assert.throws(() => resolveToolLoopSettings({ maxToolRounds: 0 }), /maxToolRounds/);
+    assert.throws(() => resolveToolLoopSettings({ toolTimeoutSeconds: 0 }), /toolTimeoutSeconds/);
+});
@@ -0,0 +1,210 @@
+import { mergeSettings, parseBooleanSetting, parseNumberSetting } from "./settings.js";
+
+// --- Tool-loop safeguards ---
+// Limits for the LLM <-> MCP tool loop in MCPClient.processQuery, so a confused model cannot
+// spin forever: a cap on tool rounds, timeouts, duplicate-call detection and argument validation.
+
+export interface ToolLoopSettings {
+    maxToolRounds?: number;         // LLM responses with tool calls allowed per query
+    toolTimeoutSeconds?: number;    // per MCP tools/call
+    queryTimeoutSeconds?: number;   // whole query: every LLM request and tool call; 0 disables
+    confirmToolCalls?: boolean;     // ask on the terminal before each tool call
+}
+
+export type ResolvedToolLoopSettings = Required<ToolLoopSettings>;
+
+const DEFAULT_TOOL_LOOP_SETTINGS: ResolvedToolLoopSettings = {
+    maxToolRounds: 8,
+    toolTimeoutSeconds: 30,
+    queryTimeoutSeconds: 600,
+    confirmToolCalls: false,
+};
+
+export function toolLoopSettingsFromEnv(env: NodeJS.ProcessEnv = process.env): ToolLoopSettings {
+    return {
+        maxToolRounds: parseNumberSetting("MCP_MAX_TOOL_ROUNDS", env.MCP_MAX_TOOL_ROUNDS),
+        toolTimeoutSeconds: parseNumberSetting("MCP_TOOL_TIMEOUT", env.MCP_TOOL_TIMEOUT),
+        queryTimeoutSeconds: parseNumberSetting("MCP_QUERY_TIMEOUT", env.MCP_QUERY_TIMEOUT),
+        confirmToolCalls: parseBooleanSetting("MCP_CONFIRM_TOOLS", env.MCP_CONFIRM_TOOLS),
+    };
+}
+
+// Validates the "toolLoop" section of the client config file.
+export function validateToolLoopSettings(raw: any, where = "toolLoop"): ToolLoopSettings {
+    if (typeof raw !== "object" || raw === null || Array.isArray(raw)) throw new Error(`${where} must be an object`);
+    for (const key of ["maxToolRounds", "toolTimeoutSeconds", "queryTimeoutSeconds"]) {
+        if (raw[key] !== undefined && (typeof raw[key] !== "number" || !Number.isFinite(raw[key]))) throw new Error(`${where}.${key} must be a number`);
+    }
+    if (raw.confirmToolCalls !== undefined && typeof raw.confirmToolCalls !== "boolean") throw new Error(`${where}.confirmToolCalls must be true or false`);
+    return raw as ToolLoopSettings;
+}
+
+// Sources in increasing priority: config file, env, CLI.
+export function resolveToolLoopSettings(...sources: (ToolLoopSettings | undefined)[]): ResolvedToolLoopSettings {
+    const settings = { ...DEFAULT_TOOL_LOOP_SETTINGS, ...mergeSettings<ToolLoopSettings>(...sources) };
+    if (!Number.isInteger(settings.maxToolRounds) || settings.maxToolRounds < 1) {
+        throw new Error(`maxToolRounds must be a positive integer, got ${settings.maxToolRounds}`);
+    }
+    if (settings.toolTimeoutSeconds <= 0) throw new Error(`toolTimeoutSeconds must be positive, got ${settings.toolTimeoutSeconds}`);
+    if (settings.queryTimeoutSeconds < 0) throw new Error(`queryTimeoutSeconds must be 0 (off) or positive, got ${settings.queryTimeoutSeconds}`);
+    return settings;
+}
+
+export class QueryTimeoutError extends Error {
+    constructor(seconds: number) {
+        super(`The query did not finish within ${seconds} s and was stopped.`);
+        this.name = "QueryTimeoutError";
+    }
+}
+
+// The model was still asking for tools (or said nothing) after the tool-round limit.
+export class ToolLimitError extends Error {
+    constructor(maxToolRounds: number) {
+        super(`The model did not answer within the limit of ${maxToolRounds} tool round(s).`);
+        this.name = "ToolLimitError";
+    }
+}
+
+// --- Duplicate calls ---
+// Key for "same tool, same arguments": object keys are sorted so {"a":1,"b":2} and {"b":2,"a":1} match.
+export function toolCallKey(toolName: string, args: unknown): string {
+    const canonical = (value: unknown): unknown => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical((value as Record<string, unknown>)[key])]));
+        }
+        return value;
+    };
+    return `${toolName} ${JSON.stringify(canonical(args))}`;
+}
+
+// --- Argument validation ---
+// Checks LLM-produced arguments against a tool's inputSchema before they are sent to the server.
+// Covers the JSON Schema subset MCP servers emit (zod-to-json-schema): type, properties, required,
+// enum/const, anyOf/oneOf, items, and string/number/array bounds. Unknown keywords are ignored, so the
+// server still has the final say. Parameters the schema does not declare are dropped rather than
+// rejected: local models like to add extras (a "reason", "units" on a tool without them), and the
+// server's zod schemas would strip them anyway.
+export interface ArgumentCheck {
+    errors: string[];
+    args: Record<string, unknown>;  // the arguments to send, without undeclared parameters
+    removed: string[];              // paths of the parameters that were dropped
+}
+
+export function validateToolArguments(schema: Record<string, any> | undefined, args: unknown): ArgumentCheck {
+    if (!args || typeof args !== "object" || Array.isArray(args)) return { errors: ["arguments must be a JSON object"], args: {}, removed: [] };
+    if (!schema || typeof schema !== "object") return { errors: [], args: args as Record<string, unknown>, removed: [] };
+    const removed: string[] = [];
+    const cleaned = stripUnknownProperties(schema, args, "arguments", removed) as Record<string, unknown>;
+    return { errors: validateValue(schema, cleaned, "arguments"), args: cleaned, removed };
+}
+
+// Follows properties, additionalProperties and items; values under anyOf/oneOf are left as they are.
+function stripUnknownProperties(schema: Record<string, any>, value: unknown, path: string, removed: string[]): unknown {
+    if (!schema || typeof schema !== "object") return value;
+    if (Array.isArray(value)) {
+        const items = schema.items;
+        return items && typeof items === "object" && !Array.isArray(items)
+            ? value.map((item, i) => stripUnknownProperties(items, item, `${path}[${i}]`, removed))
+            : value;
+    }
+    if (typeOf(value) !== "object") return value;
+    const properties: Record<string, any> = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+    const result: Record<string, unknown> = {};
+    for (const [key, propertyValue] of Object.entries(value as Record<string, unknown>)) {
+        if (key in properties) {
+            result[key] = stripUnknownProperties(properties[key], propertyValue, `${path}.${key}`, removed);
+        } else if (schema.additionalProperties === false) {
+            removed.push(`${path}.${key}`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+            result[key] = stripUnknownProperties(schema.additionalProperties, propertyValue, `${path}.${key}`, removed);
+        } else {
+            result[key] = propertyValue;
+        }
+    }
+    return result;
+}
+
+function typeOf(value: unknown): string {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function matchesType(type: string, value: unknown): boolean {
+    switch (type) {
+        case "integer": return Number.isInteger(value);
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "array": return Array.isArray(value);
+        case "object": return typeOf(value) === "object";
+        case "null": return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function validateValue(schema: Record<string, any>, value: unknown, path: string): string[] {
+    if (!schema || typeof schema !== "object") return [];
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (Array.isArray(alternatives)) {
+        const branchErrors = alternatives.map((branch: Record<string, any>) => validateValue(branch, value, path));
+        if (!branchErrors.some(errors => errors.length === 0)) {
+            return branchErrors.length === 1 ? branchErrors[0] : [`${path} does not match any allowed form (${branchErrors.map(e => e[0]).join("; or ")})`];
+        }
+    }
+
+    if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        return [`${path} must be ${JSON.stringify(schema.const)}`];
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((option: unknown) => JSON.stringify(option) === JSON.stringify(value))) {
+        return [`${path} must be one of ${schema.enum.map((o: unknown) => JSON.stringify(o)).join(", ")}, got ${JSON.stringify(value)}`];
+    }
+
+    if (schema.type !== undefined) {
+        const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(type, value))) {
+            return [`${path} must be ${types.join(" or ")}, got ${typeOf(value)}`];
+        }
+    }
+
+    const errors: string[] = [];
+    if (typeof value === "string") {
+        if (typeof schema.minLength === "number" && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+        if (typeof schema.maxLength === "number" && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        if (typeof schema.pattern === "string") {
+            try {
+                if (!new RegExp(schema.pattern, "u").test(value)) errors.push(`${path} must match ${schema.pattern}`);
+            } catch {
+                // A pattern JavaScript cannot compile is left to the server.
+            }
+        }
+    } else if (typeof value === "number") {
+        // exclusiveMinimum/Maximum are numbers in draft 6+ and booleans modifying minimum/maximum in draft 4.
+        const min = typeof schema.exclusiveMinimum === "number" ? schema.exclusiveMinimum : schema.minimum;
+        const minExclusive = typeof schema.exclusiveMinimum === "number" || schema.exclusiveMinimum === true;
+        const max = typeof schema.exclusiveMaximum === "number" ? schema.exclusiveMaximum : schema.maximum;
+        const maxExclusive = typeof schema.exclusiveMaximum === "number" || schema.exclusiveMaximum === true;
+        if (typeof min === "number" && (minExclusive ? value <= min : value < min)) errors.push(`${path} must be ${minExclusive ? ">" : ">="} ${min}, got ${value}`);
+        if (typeof max === "number" && (maxExclusive ? value >= max : value > max)) errors.push(`${path} must be ${maxExclusive ? "<" : "<="} ${max}, got ${value}`);
+    } else if (Array.isArray(value)) {
+        if (typeof schema.minItems === "number" && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+        if (typeof schema.maxItems === "number" && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+            value.forEach((item, i) => errors.push(...validateValue(schema.items, item, `${path}[${i}]`)));
+        }
+    } else if (typeOf(value) === "object") {
+        const object = value as Record<string, unknown>;
+        const properties: Record<string, any> = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+        for (const key of Array.isArray(schema.required) ? schema.required : []) {
+            if (object[key] === undefined) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, propertyValue] of Object.entries(object)) {
+            if (key in properties) {
+                errors.push(...validateValue(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+                errors.push(...validateValue(schema.additionalProperties, propertyValue, `${path}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
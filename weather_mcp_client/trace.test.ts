@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { QueryTrace, type ToolOutcome } from "./trace.js";
+
+function record(trace: QueryTrace, round: number, outcome: ToolOutcome) {
+    const id = `call_${trace.entries.length}`;
+    trace.recordLLM(round, Date.now(), { role: "assistant", content: null, tool_calls: [{ id, type: "function", function: { name: "get-alerts", arguments: "{}" } }] });
+    trace.recordTool({ round, tool_call_id: id, name: "get-alerts", server: "weather", arguments: {}, outcome, isError: outcome !== "ok", result: "" }, Date.now());
+}
+
+test("tool entries share the round of the LLM response that requested them", () => {
+    const trace = new QueryTrace();
+    record(trace, 0, "ok");
+    const [llm, tool] = trace.entries;
+    assert.equal(llm.type === "llm" && llm.tool_calls[0].id, tool.type === "tool" && tool.tool_call_id);
+    assert.equal(llm.round, tool.round);
+});
+
+test("toolRounds counts rounds that ran, not calls refused at the limit", () => {
+    const trace = new QueryTrace();
+    assert.equal(trace.toolRounds, 0);
+    record(trace, 0, "ok");
+    record(trace, 1, "duplicate");
+    record(trace, 2, "not_run");
+    trace.recordLLM(3, Date.now(), { role: "assistant", content: "done" });
+    assert.equal(trace.toolRounds, 2);
+});
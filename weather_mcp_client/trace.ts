@@ -0,0 +1,65 @@
+import type { AssistantMessage } from "./llmBackends.js";
+
+// --- Query traces ---
+// A record of what happened while answering one query, for --json output: every LLM response and
+// every tool call the model asked for, including the ones the client refused to run. Rounds count from 0;
+// tool entries carry the round of the LLM response that requested them.
+
+export type ToolOutcome =
+    | "ok"                  // the server ran the tool and did not flag an error
+    | "error"               // the server returned isError, or the call failed
+    | "timeout"             // no response within the tool timeout
+    | "invalid_arguments"   // arguments were not JSON or did not match the inputSchema
+    | "unknown_tool"
+    | "duplicate"           // same tool and arguments as an earlier call for this query
+    | "declined"            // the user said no in --confirm-tools mode
+    | "not_run";            // the tool-round limit was reached
+
+export interface LLMTraceEntry {
+    type: "llm";
+    round: number;
+    started_at: string;
+    duration_ms: number;
+    content: string | null;
+    tool_calls: { id: string; name: string; arguments: string }[];
+}
+
+export interface ToolTraceEntry {
+    type: "tool";
+    round: number;
+    tool_call_id: string;
+    name: string;
+    server: string | null;
+    arguments: unknown;     // parsed object, or the raw string when it was not valid JSON
+    outcome: ToolOutcome;
+    isError: boolean;
+    result: string;         // the text given back to the model
+    started_at: string;
+    duration_ms: number;
+}
+
+export type TraceEntry = LLMTraceEntry | ToolTraceEntry;
+
+export class QueryTrace {
+    readonly entries: TraceEntry[] = [];
+
+    recordLLM(round: number, startedAt: number, response: AssistantMessage) {
+        this.entries.push({
+            type: "llm",
+            round,
+            started_at: new Date(startedAt).toISOString(),
+            duration_ms: Date.now() - startedAt,
+            content: response.content,
+            tool_calls: (response.tool_calls || []).map(call => ({ id: call.id, name: call.function.name, arguments: call.function.arguments })),
+        });
+    }
+
+    recordTool(entry: Omit<ToolTraceEntry, "type" | "started_at" | "duration_ms">, startedAt: number) {
+        this.entries.push({ type: "tool", ...entry, started_at: new Date(startedAt).toISOString(), duration_ms: Date.now() - startedAt });
+    }
+
+    // Rounds that got as far as handling their calls; calls refused at the round limit are listed but not counted.
+    get toolRounds(): number {
+        return new Set(this.entries.filter(entry => entry.type === "tool" && entry.outcome !== "not_run").map(entry => entry.round)).size;
+    }
+}
@@ -0,0 +1,134 @@
+import { z } from "zod";
+import { makeAPIRequest } from "./api.js";
+import { debug } from "./debug.js";
+import { ProviderError } from "./providers/index.js";
+
+// --- Air quality, pollen and UV ---
+// Open-Meteo's air-quality API (CAMS models): global AQI, particulates and gases, UV index, and
+// pollen for Europe during the season. Forecasts reach about 5 days ahead.
+
+export const OPEN_METEO_AIR_QUALITY_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+export const MAX_AIR_QUALITY_HOURS = 120;
+
+export const POLLEN_TYPES = ["alder", "birch", "grass", "mugwort", "olive", "ragweed"] as const;
+
+const AIR_QUALITY_VARIABLES = [
+  "european_aqi", "us_aqi", "pm2_5", "pm10", "ozone", "nitrogen_dioxide", "uv_index",
+  ...POLLEN_TYPES.map(type => `${type}_pollen`),
+];
+
+interface OpenMeteoAirQualityResponse {
+  latitude: number;
+  longitude: number;
+  timezone?: string;
+  current_units?: Record<string, string>;
+  current?: { time: string } & Record<string, number | null>;
+  hourly_units?: Record<string, string>;
+  hourly?: { time: string[] } & Record<string, (number | null)[]>;
+  error?: boolean;
+  reason?: string;
+}
+
+// --- Health categories ---
+// Each table lists [lower bound, label] in ascending order; a value takes the last band it reaches.
+type Bands = [number, string][];
+
+// European Environment Agency EAQI bands.
+const EUROPEAN_AQI_BANDS: Bands = [[0, "Good"], [20, "Fair"], [40, "Moderate"], [60, "Poor"], [80, "Very poor"], [100, "Extremely poor"]];
+// US EPA AQI bands.
+const US_AQI_BANDS: Bands = [[0, "Good"], [51, "Moderate"], [101, "Unhealthy for sensitive groups"], [151, "Unhealthy"], [201, "Very unhealthy"], [301, "Hazardous"]];
+// WHO UV index exposure categories.
+const UV_INDEX_BANDS: Bands = [[0, "Low"], [3, "Moderate"], [6, "High"], [8, "Very high"], [11, "Extreme"]];
+// Pollen grains/m³. Sensitivity differs by species; these generic bands are a rough guide.
+const POLLEN_BANDS: Bands = [[0, "None"], [1, "Low"], [10, "Moderate"], [50, "High"], [200, "Very high"]];
+
+function categorize(value: number | null | undefined, bands: Bands): string {
+  if (value === null || value === undefined) return "Not available";
+  let label = bands[0][1];
+  for (const [lower, name] of bands) {
+    if (value >= lower) label = name;
+  }
+  return label;
+}
+
+export const getEuropeanAqiCategory = (value: number | null | undefined) => categorize(value, EUROPEAN_AQI_BANDS);
+export const getUsAqiCategory = (value: number | null | undefined) => categorize(value, US_AQI_BANDS);
+export const getUvIndexCategory = (value: number | null | undefined) => categorize(value, UV_INDEX_BANDS);
+export const getPollenCategory = (value: number | null | undefined) => categorize(value, POLLEN_BANDS);
+
+export const airQualityReadingSchema = z.object({
+  time: z.string(),
+  european_aqi: z.number().nullable(),
+  european_aqi_category: z.string(),
+  us_aqi: z.number().nullable(),
+  us_aqi_category: z.string(),
+  pm2_5: z.number().nullable(),
+  pm10: z.number().nullable(),
+  ozone: z.number().nullable(),
+  nitrogen_dioxide: z.number().nullable(),
+  uv_index: z.number().nullable(),
+  uv_index_category: z.string(),
+  // Only pollen types with data are included; empty outside Europe or out of season.
+  pollen: z.record(z.object({ value: z.number(), category: z.string() })),
+});
+export type AirQualityReading = z.infer<typeof airQualityReadingSchema>;
+
+export interface AirQualityReport {
+  location: { latitude: number; longitude: number; timezone: string };
+  units: Record<string, string>;
+  current: AirQualityReading | null;
+  hourly: AirQualityReading[];
+}
+
+function toReading(time: string, value: (name: string) => number | null): AirQualityReading {
+  const pollen: AirQualityReading["pollen"] = {};
+  for (const type of POLLEN_TYPES) {
+    const grains = value(`${type}_pollen`);
+    if (grains !== null) pollen[type] = { value: grains, category: getPollenCategory(grains) };
+  }
+  return {
+    time,
+    european_aqi: value("european_aqi"),
+    european_aqi_category: getEuropeanAqiCategory(value("european_aqi")),
+    us_aqi: value("us_aqi"),
+    us_aqi_category: getUsAqiCategory(value("us_aqi")),
+    pm2_5: value("pm2_5"),
+    pm10: value("pm10"),
+    ozone: value("ozone"),
+    nitrogen_dioxide: value("nitrogen_dioxide"),
+    uv_index: value("uv_index"),
+    uv_index_category: getUvIndexCategory(value("uv_index")),
+    pollen,
+  };
+}
+
+// hours = 0 fetches current conditions only.
+export async function fetchAirQuality(
+  { latitude, longitude, timezone, hours }: { latitude: number; longitude: number; timezone?: string; hours: number },
+): Promise<AirQualityReport> {
+  const tzParam = (timezone && timezone.trim() !== "") ? encodeURIComponent(timezone) : "auto";
+  const variables = AIR_QUALITY_VARIABLES.join(",");
+  const hourlyParams = hours > 0 ? `&hourly=${variables}&forecast_days=${Math.ceil(MAX_AIR_QUALITY_HOURS / 24)}&forecast_hours=${hours}` : "";
+  const airQualityUrl = `${OPEN_METEO_AIR_QUALITY_URL}?latitude=${latitude.toFixed(4)}&longitude=${longitude.toFixed(4)}&current=${variables}${hourlyParams}&timezone=${tzParam}`;
+
+  debug("air quality: Open-Meteo URL", airQualityUrl);
+  const data = await makeAPIRequest<OpenMeteoAirQualityResponse>(airQualityUrl, true);
+  if (!data) {
+    throw new ProviderError("UPSTREAM_UNAVAILABLE", "Failed to retrieve air quality data from Open-Meteo. The API might be temporarily unavailable or location parameters are invalid.");
+  }
+  if (data.error) {
+    throw new ProviderError("UPSTREAM_ERROR", `Open-Meteo air quality error: ${data.reason || "unknown error"}`);
+  }
+
+  const current = data.current;
+  const hourly = data.hourly;
+  const units: Record<string, string> = { ...data.hourly_units, ...data.current_units };
+  delete units.time;
+  delete units.interval;
+  return {
+    location: { latitude, longitude, timezone: data.timezone || decodeURIComponent(tzParam) },
+    units,
+    current: current ? toReading(current.time, name => current[name] ?? null) : null,
+    hourly: hourly?.time ? hourly.time.map((time, i) => toReading(time, name => hourly[name]?.[i] ?? null)) : [],
+  };
+}
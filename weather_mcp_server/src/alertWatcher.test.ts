@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffAlerts, type AlertSnapshot } from "./alertWatcher.js";
+import type { NWSAlert } from "./alerts.js";
+
+const alert = (id: string, overrides: Partial<NWSAlert> = {}): NWSAlert => ({
+  id, event: "Winter Storm Warning", area: "Adams", severity: "Moderate", urgency: "Expected", certainty: "Likely", status: "Actual",
+  headline: "Winter Storm Warning until Friday", description: null, instruction: null, effective: null, onset: null, expires: "2030-01-03T12:00:00Z",
+  ...overrides,
+});
+const snapshot = (...alerts: NWSAlert[]): AlertSnapshot => new Map(alerts.map(a => [a.id!, a]));
+const kinds = (previous: AlertSnapshot, current: AlertSnapshot) => diffAlerts(previous, current).map(change => `${change.kind} ${change.id}`);
+
+test("reports added and expired alerts", () => {
+  assert.deepEqual(kinds(snapshot(alert("a")), snapshot(alert("b"))), ["added b", "expired a"]);
+});
+
+test("an unchanged alert produces no change", () => {
+  assert.deepEqual(kinds(snapshot(alert("a")), snapshot(alert("a"))), []);
+});
+
+test("a severity increase is an upgrade", () => {
+  assert.deepEqual(kinds(snapshot(alert("a")), snapshot(alert("a", { severity: "Extreme" }))), ["upgraded a"]);
+});
+
+test("a severity decrease alone is an update", () => {
+  assert.deepEqual(kinds(snapshot(alert("a", { severity: "Extreme" })), snapshot(alert("a"))), ["updated a"]);
+});
+
+test("changed urgency, certainty, expiry or headline is an update", () => {
+  for (const change of [{ urgency: "Immediate" }, { certainty: "Observed" }, { expires: "2030-01-04T00:00:00Z" }, { headline: "Extended" }]) {
+    assert.deepEqual(kinds(snapshot(alert("a")), snapshot(alert("a", change))), ["updated a"]);
+  }
+});
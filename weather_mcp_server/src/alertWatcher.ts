@@ -0,0 +1,171 @@
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { ErrorCode, McpError, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { fetchActiveAlerts, type AlertQuery, type NWSAlert } from "./alerts.js";
+import { debug } from "./debug.js";
+
+// --- Alert subscriptions ---
+// Clients subscribe to weather://alerts/... resources; a background poller diffs the NWS
+// alerts/active feed for each subscribed URI and sends notifications/resources/updated when
+// an alert is added, upgraded, changed or expires. The client re-reads the resource for details.
+
+const DEFAULT_POLL_SECONDS = 60;
+const MIN_POLL_SECONDS = 10;
+
+function pollIntervalMs(): number {
+  const raw = process.env.WEATHER_ALERT_POLL_SECONDS;
+  const seconds = raw ? Number(raw) : DEFAULT_POLL_SECONDS;
+  if (!Number.isFinite(seconds) || seconds < MIN_POLL_SECONDS) {
+    console.error(`Ignoring WEATHER_ALERT_POLL_SECONDS='${raw}', expected at least ${MIN_POLL_SECONDS}. Using ${DEFAULT_POLL_SECONDS}.`);
+    return DEFAULT_POLL_SECONDS * 1000;
+  }
+  return seconds * 1000;
+}
+
+export function alertsUri(query: AlertQuery): string {
+  if ("area" in query) return `weather://alerts/${query.area.toUpperCase()}`;
+  if ("zone" in query) return `weather://alerts/zone/${query.zone.toUpperCase()}`;
+  return `weather://alerts/point/${query.point.latitude.toFixed(4)}/${query.point.longitude.toFixed(4)}`;
+}
+
+export function alertQueryFromUri(uri: string): AlertQuery | null {
+  const point = uri.match(/^weather:\/\/alerts\/point\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/);
+  if (point) {
+    const latitude = Number(point[1]);
+    const longitude = Number(point[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { point: { latitude, longitude } };
+  }
+  const zone = uri.match(/^weather:\/\/alerts\/zone\/([A-Za-z]{2}[ZCzc]\d{3})$/);
+  if (zone) return { zone: zone[1].toUpperCase() };
+  const area = uri.match(/^weather:\/\/alerts\/([A-Za-z]{2})$/);
+  return area ? { area: area[1].toUpperCase() } : null;
+}
+
+const SEVERITY_RANK: Record<string, number> = { Unknown: 0, Minor: 1, Moderate: 2, Severe: 3, Extreme: 4 };
+const severityRank = (severity: string | null) => SEVERITY_RANK[severity || "Unknown"] ?? 0;
+
+export type AlertSnapshot = Map<string, NWSAlert>;
+export interface AlertChange { kind: "added" | "upgraded" | "updated" | "expired"; id: string; event: string | null; }
+
+function isExpired(alert: NWSAlert, now: number): boolean {
+  return alert.expires !== null && Date.parse(alert.expires) <= now;
+}
+
+export function diffAlerts(previous: AlertSnapshot, current: AlertSnapshot): AlertChange[] {
+  const changes: AlertChange[] = [];
+  for (const [id, alert] of current) {
+    const before = previous.get(id);
+    if (!before) {
+      changes.push({ kind: "added", id, event: alert.event });
+    } else if (severityRank(alert.severity) > severityRank(before.severity)) {
+      changes.push({ kind: "upgraded", id, event: alert.event });
+    } else if (alert.severity !== before.severity || alert.urgency !== before.urgency || alert.certainty !== before.certainty || alert.expires !== before.expires || alert.headline !== before.headline) {
+      changes.push({ kind: "updated", id, event: alert.event });
+    }
+  }
+  for (const [id, alert] of previous) {
+    if (!current.has(id)) changes.push({ kind: "expired", id, event: alert.event });
+  }
+  return changes;
+}
+
+interface Subscription { query: AlertQuery; snapshot: AlertSnapshot | null; }
+
+export class AlertWatcher {
+  private subscriptions = new Map<string, Subscription>();
+  private timer: NodeJS.Timeout | null = null;
+  private polling = false;
+
+  constructor(private server: McpServer, private intervalMs: number = pollIntervalMs()) {}
+
+  async subscribe(uri: string) {
+    const query = alertQueryFromUri(uri);
+    if (!query) {
+      throw new McpError(ErrorCode.InvalidParams, `Only alert resources can be subscribed to (weather://alerts/{state}, weather://alerts/zone/{zone} or weather://alerts/point/{lat}/{lon}), got '${uri}'.`);
+    }
+    if (this.subscriptions.has(uri)) return;
+    this.subscriptions.set(uri, { query, snapshot: null });
+    debug(`AlertWatcher: subscribed to ${uri} (${this.subscriptions.size} active)`);
+    // Take the baseline now so the first poll only reports real changes.
+    await this.check(uri);
+    this.start();
+  }
+
+  unsubscribe(uri: string) {
+    this.subscriptions.delete(uri);
+    debug(`AlertWatcher: unsubscribed from ${uri} (${this.subscriptions.size} active)`);
+    if (this.subscriptions.size === 0) this.stop();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  private start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => { this.pollAll(); }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  private async pollAll() {
+    if (this.polling) return; // a slow NWS round must not overlap the next tick
+    this.polling = true;
+    try {
+      for (const uri of Array.from(this.subscriptions.keys())) {
+        await this.check(uri);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async check(uri: string) {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription) return;
+    const alerts = await fetchActiveAlerts(subscription.query);
+    if (!alerts) {
+      debug(`AlertWatcher: NWS unavailable for ${uri}, keeping previous snapshot`);
+      return;
+    }
+
+    const now = Date.now();
+    const current: AlertSnapshot = new Map();
+    alerts.forEach((alert, index) => {
+      if (!isExpired(alert, now)) current.set(alert.id || `${alert.event}#${index}`, alert);
+    });
+
+    const previous = subscription.snapshot;
+    subscription.snapshot = current;
+    if (previous === null) return;
+
+    const changes = diffAlerts(previous, current);
+    if (changes.length === 0) return;
+    debug(`AlertWatcher: ${uri} changed:`, changes.map(c => `${c.kind} ${c.event || c.id}`).join(", "));
+    try {
+      await this.server.server.sendResourceUpdated({ uri });
+    } catch (error: any) {
+      debug(`AlertWatcher: could not notify client about ${uri}:`, error.message);
+    }
+  }
+}
+
+export function registerAlertSubscriptions(server: McpServer): AlertWatcher {
+  const watcher = new AlertWatcher(server);
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    await watcher.subscribe(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    watcher.unsubscribe(request.params.uri);
+    return {};
+  });
+  // An HTTP session can end while subscriptions are still active; stop polling for it.
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    previousOnClose?.();
+    watcher.stop();
+  };
+  return watcher;
+}
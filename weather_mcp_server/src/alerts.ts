@@ -0,0 +1,140 @@
+import { z } from "zod";
+import { makeAPIRequest, NWS_API_BASE } from "./api.js";
+import { debug } from "./debug.js";
+
+// --- NWS Alert Interfaces ---
+interface AlertFeatureProperties { id?: string; event?: string; areaDesc?: string; severity?: string; urgency?: string; certainty?: string; status?: string; headline?: string; description?: string; instruction?: string; effective?: string; onset?: string; expires?: string; }
+interface AlertFeature { id?: string; properties: AlertFeatureProperties; }
+interface AlertsResponse { features: AlertFeature[]; }
+
+export const alertSchema = z.object({
+  id: z.string().nullable(),
+  event: z.string().nullable(),
+  area: z.string().nullable(),
+  severity: z.string().nullable(),
+  urgency: z.string().nullable(),
+  certainty: z.string().nullable(),
+  status: z.string().nullable(),
+  headline: z.string().nullable(),
+  description: z.string().nullable(),
+  instruction: z.string().nullable(),
+  effective: z.string().nullable(),
+  onset: z.string().nullable(),
+  expires: z.string().nullable(),
+});
+export type NWSAlert = z.infer<typeof alertSchema>;
+
+function toNWSAlert(feature: AlertFeature): NWSAlert {
+  const props = feature.properties;
+  return {
+    id: props.id ?? feature.id ?? null,
+    event: props.event ?? null,
+    area: props.areaDesc ?? null,
+    severity: props.severity ?? null,
+    urgency: props.urgency ?? null,
+    certainty: props.certainty ?? null,
+    status: props.status ?? null,
+    headline: props.headline ?? null,
+    description: props.description ?? null,
+    instruction: props.instruction ?? null,
+    effective: props.effective ?? null,
+    onset: props.onset ?? null,
+    expires: props.expires ?? null,
+  };
+}
+
+export function formatNWSAlert(alert: NWSAlert): string {
+  return [
+    `Event: ${alert.event || "Unknown"}`, `Area: ${alert.area || "Unknown"}`,
+    `Severity: ${alert.severity || "Unknown"}`, `Status: ${alert.status || "Unknown"}`,
+    `Headline: ${alert.headline || "No headline available"}`, `Description: ${alert.description || "No description available."}`,
+    `Instruction: ${alert.instruction || "No specific instructions."}`, "---",
+  ].join("\n");
+}
+
+// One line per alert for summary mode; the ID lets the caller expand it with alert_id.
+export function formatNWSAlertSummary(alert: NWSAlert): string {
+  const expires = alert.expires ? ` (until ${alert.expires})` : "";
+  return `- [${alert.severity || "Unknown"}] ${alert.event || "Alert"}: ${alert.headline || alert.area || "No headline available"}${expires}\n  id: ${alert.id || "unknown"}`;
+}
+
+// CAP enumerations used by NWS for filtering and sorting, most serious first.
+export const ALERT_SEVERITIES = ["Extreme", "Severe", "Moderate", "Minor", "Unknown"] as const;
+export const ALERT_URGENCIES = ["Immediate", "Expected", "Future", "Past", "Unknown"] as const;
+export const ALERT_CERTAINTIES = ["Observed", "Likely", "Possible", "Unlikely", "Unknown"] as const;
+
+// NWS marine areas accepted by the `area` parameter (coastal and Great Lakes waters).
+export const MARINE_AREAS = ["AM", "AN", "GM", "LC", "LE", "LH", "LM", "LO", "LS", "PH", "PK", "PM", "PS", "PZ", "SL"] as const;
+
+// Where to look for alerts. `area` is a US state/territory or marine area code; `zone` is an NWS
+// forecast/county zone ID such as TXZ211 or TXC453.
+export type AlertQuery = { area: string } | { point: { latitude: number; longitude: number } } | { zone: string };
+
+export interface AlertFilters {
+  severity?: string[];
+  urgency?: string[];
+  certainty?: string[];
+  event?: string[];   // case-insensitive substrings, e.g. "tornado" matches "Tornado Warning"
+}
+
+export function describeAlertQuery(query: AlertQuery): string {
+  if ("area" in query) return query.area.toUpperCase();
+  if ("zone" in query) return `zone ${query.zone.toUpperCase()}`;
+  return `point (${query.point.latitude.toFixed(4)}, ${query.point.longitude.toFixed(4)})`;
+}
+
+function alertQueryParams(query: AlertQuery, filters: AlertFilters): string {
+  const params = new URLSearchParams();
+  if ("area" in query) params.set("area", query.area.toUpperCase());
+  else if ("zone" in query) params.set("zone", query.zone.toUpperCase());
+  else params.set("point", `${query.point.latitude.toFixed(4)},${query.point.longitude.toFixed(4)}`);
+  // NWS filters these server-side; event names must match exactly there, so events are filtered locally.
+  if (filters.severity?.length) params.set("severity", filters.severity.join(","));
+  if (filters.urgency?.length) params.set("urgency", filters.urgency.join(","));
+  if (filters.certainty?.length) params.set("certainty", filters.certainty.join(","));
+  return params.toString().replace(/%2C/g, ",");
+}
+
+// Returns null when NWS could not be reached, [] when there are simply no active alerts.
+export async function fetchActiveAlerts(query: AlertQuery, filters: AlertFilters = {}): Promise<NWSAlert[] | null> {
+  const alertsUrl = `${NWS_API_BASE}/alerts/active?${alertQueryParams(query, filters)}`;
+  debug("fetchActiveAlerts: alertsUrl", alertsUrl);
+  const alertsData = await makeAPIRequest<AlertsResponse>(alertsUrl, true, { "Accept": "application/geo+json" });
+  if (!alertsData) return null;
+  const alerts = (alertsData.features || []).map(toNWSAlert);
+  const events = filters.event?.map(e => e.trim().toLowerCase()).filter(Boolean);
+  if (!events?.length) return alerts;
+  return alerts.filter(alert => events.some(e => (alert.event || "").toLowerCase().includes(e)));
+}
+
+// Alert IDs are URNs (urn:oid:2.49.0.1.840.0....); the feature URL form is accepted too.
+export async function fetchAlertById(id: string): Promise<NWSAlert | null> {
+  const urn = id.trim().replace(/^https?:\/\/api\.weather\.gov\/alerts\//, "");
+  if (!/^[\w:.\-]+$/.test(urn)) return null;
+  const alertUrl = `${NWS_API_BASE}/alerts/${urn}`;
+  debug("fetchAlertById: alertUrl", alertUrl);
+  const feature = await makeAPIRequest<AlertFeature>(alertUrl, true, { "Accept": "application/geo+json" });
+  return feature && feature.properties ? toNWSAlert(feature) : null;
+}
+
+export const ALERT_SORT_KEYS = ["severity", "onset", "expires"] as const;
+export type AlertSortKey = typeof ALERT_SORT_KEYS[number];
+
+const rank = (order: readonly string[], value: string | null) => {
+  const index = order.indexOf(value || "Unknown");
+  return index === -1 ? order.length : index;
+};
+const timeOf = (value: string | null) => value ? Date.parse(value) || Infinity : Infinity;
+
+// "severity" puts the most serious first (then urgency, certainty, soonest onset); the time keys sort ascending.
+export function sortAlerts(alerts: NWSAlert[], by: AlertSortKey): NWSAlert[] {
+  const byTime = (a: NWSAlert, b: NWSAlert) => timeOf(a.onset || a.effective) - timeOf(b.onset || b.effective);
+  return [...alerts].sort((a, b) => {
+    if (by === "expires") return timeOf(a.expires) - timeOf(b.expires);
+    if (by === "onset") return byTime(a, b);
+    return rank(ALERT_SEVERITIES, a.severity) - rank(ALERT_SEVERITIES, b.severity)
+      || rank(ALERT_URGENCIES, a.urgency) - rank(ALERT_URGENCIES, b.urgency)
+      || rank(ALERT_CERTAINTIES, a.certainty) - rank(ALERT_CERTAINTIES, b.certainty)
+      || byTime(a, b);
+  });
+}
@@ -0,0 +1,123 @@
+import { cacheTtlFor, ResponseCache } from "./cache.js";
+import { debug } from "./debug.js";
+import { HostThrottle } from "./rateLimit.js";
+
+export const NWS_API_BASE = "https://api.weather.gov"; // US-only: alerts and the NWS forecast provider
+export const USER_AGENT_BASE = "weather-app/1.0 (MCP Example)";
+
+// WEATHER_CACHE=off disables caching; WEATHER_CACHE_FILE=/path/cache.json keeps it across restarts.
+const CACHE_ENABLED = !["0", "false", "off"].includes((process.env.WEATHER_CACHE || "").trim().toLowerCase());
+const responseCache = new ResponseCache(CACHE_ENABLED ? process.env.WEATHER_CACHE_FILE || null : null);
+const hostThrottle = new HostThrottle();
+// Identical requests already on the wire share one upstream call instead of queueing behind the throttle.
+const inFlight = new Map<string, Promise<unknown>>();
+
+export async function makeAPIRequest<T>(
+  url: string,
+  isJsonResponse: boolean = true,
+  customHeaders?: Record<string, string>
+): Promise<T | null> {
+  let parsedUrl: URL;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    console.error(`Refusing to request malformed URL: ${url}`);
+    return null;
+  }
+
+  // The Accept header changes what NWS returns, so it is part of the key. User-Agent is not.
+  const cacheKey = `${customHeaders?.["Accept"] || ""} ${url}`;
+  const ttlMs = CACHE_ENABLED ? cacheTtlFor(parsedUrl) : 0;
+
+  if (ttlMs > 0) {
+    const cached = responseCache.get<T>(cacheKey);
+    if (cached !== undefined) {
+      debug(`Cache HIT (${parsedUrl.hostname}):`, url);
+      return cached;
+    }
+    debug(`Cache MISS (${parsedUrl.hostname}, ttl ${Math.round(ttlMs / 1000)}s):`, url);
+  }
+
+  const pending = inFlight.get(cacheKey) as Promise<T | null> | undefined;
+  if (pending) {
+    debug("Joining in-flight request:", url);
+    return pending;
+  }
+
+  const request = hostThrottle.run(parsedUrl.hostname, () => fetchUpstream<T>(url, isJsonResponse, customHeaders))
+    .then(result => {
+      // Failures (null) are never cached so the next call retries upstream.
+      if (result !== null && ttlMs > 0) responseCache.set(cacheKey, result, ttlMs);
+      return result;
+    })
+    .finally(() => inFlight.delete(cacheKey));
+  inFlight.set(cacheKey, request);
+  return request;
+}
+
+async function fetchUpstream<T>(
+  url: string,
+  isJsonResponse: boolean = true,
+  customHeaders?: Record<string, string>
+): Promise<T | null> {
+  const headers: Record<string, string> = {
+    "User-Agent": USER_AGENT_BASE,
+    ...(customHeaders || {}),
+  };
+
+  if (isJsonResponse && !headers["Accept"]) {
+    headers["Accept"] = "application/json";
+  }
+
+  debug("Requesting URL:", url, "with headers:", JSON.stringify(headers));
+
+  let fetchFn = globalThis.fetch;
+  let usedFetchSource = "globalThis.fetch";
+
+  if (typeof fetchFn !== 'function') {
+    debug("globalThis.fetch is not available or not a function, attempting to import node-fetch.");
+    try {
+      const { default: nodeFetch } = await import('node-fetch');
+      fetchFn = nodeFetch as any;
+      usedFetchSource = "node-fetch";
+      debug("Successfully imported and using node-fetch.");
+    } catch (importError) {
+      console.error("Failed to import node-fetch and globalThis.fetch is not available/functional.", importError);
+      return null;
+    }
+  }
+
+  if (typeof fetchFn !== 'function') {
+    console.error("Critical: fetch function is still not available after attempting import.");
+    return null;
+  }
+
+  let responseTextForDebugging = "";
+
+  try {
+    const response = await fetchFn(url, { headers });
+    debug(`Response status from ${url} (using ${usedFetchSource}):`, response.status, response.statusText);
+
+    responseTextForDebugging = await response.text();
+
+    if (!response.ok) {
+      console.error(`Error making API request to ${url} using ${usedFetchSource}. Status: ${response.status}, Raw Body: ${responseTextForDebugging.substring(0, 500)}`);
+      return null;
+    }
+
+    debug(`Raw response text from ${url} (using ${usedFetchSource}):`, responseTextForDebugging.substring(0, 1000) + "...");
+
+    if (!isJsonResponse) {
+      return responseTextForDebugging as T;
+    }
+
+    const jsonData = JSON.parse(responseTextForDebugging);
+    debug(`Parsed JSON data from ${url} (using ${usedFetchSource}):`, JSON.stringify(jsonData, null, 2).substring(0, 500) + "...");
+    return jsonData as T;
+
+  } catch (error: any) {
+    console.error(`Error during API request or JSON parsing for ${url} using ${usedFetchSource}:`, error.message);
+    console.error(`Raw text received that might have caused error:`, responseTextForDebugging.substring(0, 1000) + "...");
+    return null;
+  }
+}
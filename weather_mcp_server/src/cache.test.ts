@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+import { ResponseCache, cacheTtlFor } from "./cache.js";
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+const tempFile = () => join(mkdtempSync(join(tmpdir(), "weather-cache-")), "cache.json");
+
+test("entries expire after their TTL and a TTL of 0 is not stored", async () => {
+  const cache = new ResponseCache(null);
+  cache.set("short", 1, 20);
+  cache.set("long", 2, 60_000);
+  cache.set("never", 3, 0);
+  assert.equal(cache.get("short"), 1);
+  assert.equal(cache.get("never"), undefined);
+  await sleep(40);
+  assert.equal(cache.get("short"), undefined);
+  assert.equal(cache.get("long"), 2);
+});
+
+test("TTLs are chosen by host and path", () => {
+  assert.ok(cacheTtlFor(new URL("https://nominatim.openstreetmap.org/search?q=x")) > cacheTtlFor(new URL("https://api.weather.gov/points/1,2")));
+  assert.ok(cacheTtlFor(new URL("https://api.weather.gov/points/1,2")) > cacheTtlFor(new URL("https://api.weather.gov/alerts/active")));
+  assert.equal(cacheTtlFor(new URL("https://example.com/")), 0);
+});
+
+test("a saved cache file is loaded without its expired entries", () => {
+  const file = tempFile();
+  writeFileSync(file, JSON.stringify({ fresh: { expiresAt: Date.now() + 60_000, value: "a" }, stale: { expiresAt: Date.now() - 1, value: "b" } }));
+  const cache = new ResponseCache(file);
+  assert.equal(cache.get("fresh"), "a");
+  assert.equal(cache.get("stale"), undefined);
+});
+
+test("an entry set while the file is being written stays dirty and is saved on exit", async () => {
+  const file = tempFile();
+  const cache = new ResponseCache(file);
+  cache.set("first", 1, 60_000);
+  const writing = cache["persist"]();
+  cache.set("second", 2, 60_000); // lands after the snapshot, before the write finishes
+  await writing;
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, "utf8"))), ["first"]);
+  cache["persistSync"]();
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, "utf8"))), ["first", "second"]);
+});
@@ -0,0 +1,145 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { debug } from "./debug.js";
+
+// --- Response cache ---
+// Upstream responses are cached per URL with a TTL chosen by host (and optionally path prefix).
+// Geocodes barely change, forecasts refresh every few minutes upstream, alerts need to stay fresh.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+
+function ttlFromEnv(name: string, fallbackMs: number): number {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallbackMs;
+  const seconds = Number(raw);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    console.error(`Ignoring invalid ${name} value '${raw}', expected a number of seconds.`);
+    return fallbackMs;
+  }
+  return seconds * SECOND;
+}
+
+interface CacheTtlRule { host: string; pathPrefix?: string; ttlMs: number; }
+
+// First matching rule wins; hosts without a rule are not cached.
+const CACHE_TTL_RULES: CacheTtlRule[] = [
+  { host: "nominatim.openstreetmap.org", ttlMs: ttlFromEnv("WEATHER_CACHE_TTL_GEOCODE", 7 * DAY) },
+  { host: "api.weather.gov", pathPrefix: "/alerts", ttlMs: ttlFromEnv("WEATHER_CACHE_TTL_ALERTS", 30 * SECOND) },
+  { host: "api.weather.gov", ttlMs: ttlFromEnv("WEATHER_CACHE_TTL_FORECAST", 10 * MINUTE) },
+  { host: "open-meteo.com", ttlMs: ttlFromEnv("WEATHER_CACHE_TTL_FORECAST", 10 * MINUTE) },
+];
+
+export function cacheTtlFor(url: URL): number {
+  const rule = CACHE_TTL_RULES.find(r =>
+    (url.hostname === r.host || url.hostname.endsWith(`.${r.host}`)) &&
+    (!r.pathPrefix || url.pathname.startsWith(r.pathPrefix)));
+  return rule ? rule.ttlMs : 0;
+}
+
+interface CacheEntry { expiresAt: number; value: unknown; }
+
+const MAX_CACHE_ENTRIES = 1000;
+const PERSIST_DELAY_MS = 2 * SECOND;
+
+export class ResponseCache {
+  private entries = new Map<string, CacheEntry>();
+  private persistTimer: NodeJS.Timeout | null = null;
+  private dirty = false;
+
+  constructor(private filePath: string | null) {
+    if (filePath) {
+      this.load(filePath);
+      // The debounced write may not have fired yet when stdin closes and the server exits.
+      process.once("exit", () => this.persistSync());
+    }
+  }
+
+  get<T>(key: string): T | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value as T;
+  }
+
+  set(key: string, value: unknown, ttlMs: number) {
+    if (ttlMs <= 0) return;
+    // Re-insert so Map iteration order doubles as least-recently-stored order for eviction.
+    this.entries.delete(key);
+    this.entries.set(key, { expiresAt: Date.now() + ttlMs, value });
+    while (this.entries.size > MAX_CACHE_ENTRIES) {
+      const oldestKey = this.entries.keys().next().value as string;
+      this.entries.delete(oldestKey);
+    }
+    this.schedulePersist();
+  }
+
+  private load(filePath: string) {
+    try {
+      const stored = JSON.parse(readFileSync(filePath, "utf8")) as Record<string, CacheEntry>;
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(stored)) {
+        if (entry && typeof entry.expiresAt === "number" && entry.expiresAt > now) this.entries.set(key, entry);
+      }
+      debug(`Cache: loaded ${this.entries.size} entries from ${filePath}`);
+    } catch (error: any) {
+      if (error.code !== "ENOENT") console.error(`Cache: could not read ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  private schedulePersist() {
+    if (!this.filePath) return;
+    this.dirty = true;
+    if (this.persistTimer) return;
+    // Batch writes, and don't keep the process alive just to flush the cache.
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => console.error(`Cache: failed to write ${this.filePath}:`, error.message));
+    }, PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  private liveEntries(): Record<string, CacheEntry> {
+    const now = Date.now();
+    const live: Record<string, CacheEntry> = {};
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt > now) live[key] = entry;
+    }
+    return live;
+  }
+
+  // Write-then-rename so a crash mid-write never leaves a truncated cache file behind.
+  private async persist() {
+    if (!this.filePath) return;
+    // Cleared before the snapshot: a set() while the file is being written marks the cache dirty again.
+    this.dirty = false;
+    const live = this.liveEntries();
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await writeFile(tmpPath, JSON.stringify(live));
+      await rename(tmpPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+    debug(`Cache: persisted ${Object.keys(live).length} entries to ${this.filePath}`);
+  }
+
+  private persistSync() {
+    if (!this.filePath || !this.dirty) return;
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      writeFileSync(tmpPath, JSON.stringify(this.liveEntries()));
+      renameSync(tmpPath, this.filePath);
+    } catch (error: any) {
+      console.error(`Cache: failed to write ${this.filePath} on exit:`, error.message);
+    }
+  }
+}
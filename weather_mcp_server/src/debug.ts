@@ -0,0 +1,7 @@
+export const DEBUG = process.env.DEBUG === "1" || process.env.DEBUG === "true";
+
+export function debug(...args: any[]) {
+  if (DEBUG) {
+    console.error("[SERVER DEBUG]", ...args);
+  }
+}
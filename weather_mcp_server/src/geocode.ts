@@ -0,0 +1,159 @@
+import { z } from "zod";
+import { makeAPIRequest, USER_AGENT_BASE } from "./api.js";
+import { debug } from "./debug.js";
+import { OPEN_METEO_FORECAST_URL } from "./providers/openMeteo.js";
+
+// --- Nominatim geocoding ---
+// Forward search returns ranked candidates with address parts so the caller can disambiguate
+// ("Paris" vs "Paris, TX"); reverse lookup labels a point with a place name. Nominatim has no
+// timezone data, so timezones are looked up from Open-Meteo in one batched request.
+
+const NOMINATIM_BASE = "https://nominatim.openstreetmap.org";
+
+// IMPORTANT: For production use, replace placeholder email with your actual contact information
+// as per Nominatim's Usage Policy: https://operations.osmfoundation.org/policies/nominatim/
+const NOMINATIM_USER_AGENT = `MCPWeatherApp/1.0 (${USER_AGENT_BASE}) your-email@example.com`;
+
+// --- Nominatim Geocoding Interfaces ---
+interface NominatimResultItem {
+  place_id: number;
+  licence: string;
+  osm_type: string;
+  osm_id: number;
+  boundingbox: string[];
+  lat: string;
+  lon: string;
+  display_name: string;
+  class?: string;
+  category?: string; // jsonv2 name for `class`
+  type: string;
+  importance?: number;
+  icon?: string;
+  // Present when requested with addressdetails=1
+  address?: {
+    city?: string;
+    town?: string;
+    village?: string;
+    hamlet?: string;
+    municipality?: string;
+    county?: string;
+    state?: string;
+    country?: string;
+    country_code?: string;
+    // ... and other address components
+  };
+}
+type NominatimSearchResponse = NominatimResultItem[];
+type NominatimReverseResponse = NominatimResultItem & { error?: string };
+
+interface OpenMeteoTimezoneResponse { timezone?: string; }
+
+export const MAX_GEOCODE_CANDIDATES = 10;
+
+export const placeSchema = z.object({
+  name: z.string(),
+  latitude: z.number(),
+  longitude: z.number(),
+  city: z.string().nullable().describe("City, town or village"),
+  county: z.string().nullable(),
+  state: z.string().nullable(),
+  country: z.string().nullable(),
+  country_code: z.string().nullable().describe("ISO 3166-1 alpha-2, upper case"),
+  category: z.string().nullable().describe("OSM class, e.g. place, boundary, amenity"),
+  type: z.string().nullable().describe("OSM type, e.g. city, town, administrative"),
+  importance: z.number().nullable().describe("Nominatim ranking score between 0 and 1; higher is more prominent"),
+  timezone: z.string().nullable().describe("IANA timezone, e.g. America/Chicago; pass it to the forecast tools"),
+});
+export type Place = z.infer<typeof placeSchema>;
+
+// Returns null when Nominatim sent unusable coordinates, so one bad row doesn't sink the rest.
+function toPlace(item: NominatimResultItem): Place | null {
+  const latitude = parseFloat(item.lat);
+  const longitude = parseFloat(item.lon);
+  if (isNaN(latitude) || isNaN(longitude)) {
+    debug("geocode: Nominatim returned non-numeric lat/lon:", item);
+    return null;
+  }
+  const address = item.address || {};
+  return {
+    name: item.display_name,
+    latitude,
+    longitude,
+    city: address.city ?? address.town ?? address.village ?? address.hamlet ?? address.municipality ?? null,
+    county: address.county ?? null,
+    state: address.state ?? null,
+    country: address.country ?? null,
+    country_code: address.country_code ? address.country_code.toUpperCase() : null,
+    category: item.class ?? item.category ?? null,
+    type: item.type ?? null,
+    importance: typeof item.importance === "number" ? Math.round(item.importance * 1000) / 1000 : null,
+    timezone: null,
+  };
+}
+
+export function formatPlace(place: Place, index?: number): string {
+  const prefix = index === undefined ? "" : `${index + 1}. `;
+  const kind = [place.category, place.type].filter(Boolean).join("/");
+  const details = [
+    `Latitude: ${place.latitude}`,
+    `Longitude: ${place.longitude}`,
+    place.timezone ? `Timezone: ${place.timezone}` : null,
+    kind ? `Type: ${kind}` : null,
+    place.importance !== null ? `Importance: ${place.importance}` : null,
+  ].filter(Boolean).join(", ");
+  return `${prefix}${place.name}\n   ${details}`;
+}
+
+export interface GeocodeOptions {
+  limit?: number;
+  countryCodes?: string[];
+  viewbox?: [number, number, number, number]; // [west, south, east, north]
+  bounded?: boolean;                           // only return results inside the viewbox
+}
+
+// null: Nominatim unreachable. Otherwise the usable candidates, best first (possibly none).
+export async function searchPlaces(query: string, { limit = 1, countryCodes, viewbox, bounded }: GeocodeOptions = {}): Promise<Place[] | null> {
+  const params = new URLSearchParams({ q: query, format: "json", limit: String(limit), addressdetails: "1" });
+  if (countryCodes?.length) params.set("countrycodes", countryCodes.map(c => c.toLowerCase()).join(","));
+  if (viewbox) {
+    params.set("viewbox", viewbox.join(","));
+    if (bounded) params.set("bounded", "1");
+  }
+  const url = `${NOMINATIM_BASE}/search?${params}`;
+  debug("geocode: Nominatim search URL:", url);
+  const response = await makeAPIRequest<NominatimSearchResponse>(url, true, { "User-Agent": NOMINATIM_USER_AGENT });
+  if (!response) return null;
+  if (!Array.isArray(response)) {
+    debug("geocode: unexpected Nominatim search response:", JSON.stringify(response));
+    return [];
+  }
+  return response.map(toPlace).filter((place): place is Place => place !== null);
+}
+
+// `zoom` is Nominatim's detail level: 3 country, 5 state, 10 city, 14 suburb, 16 street, 18 building.
+export async function reversePlace(latitude: number, longitude: number, zoom: number = 10): Promise<Place | null | "not-found"> {
+  const params = new URLSearchParams({ lat: latitude.toFixed(5), lon: longitude.toFixed(5), format: "json", zoom: String(zoom), addressdetails: "1" });
+  const url = `${NOMINATIM_BASE}/reverse?${params}`;
+  debug("geocode: Nominatim reverse URL:", url);
+  const response = await makeAPIRequest<NominatimReverseResponse>(url, true, { "User-Agent": NOMINATIM_USER_AGENT });
+  if (!response) return null;
+  // Open ocean and other unnamed points come back as { error: "Unable to geocode" }.
+  if (response.error || !response.display_name) return "not-found";
+  return toPlace(response) ?? "not-found";
+}
+
+// Open-Meteo resolves timezone=auto for many coordinates at once; a multi-point request returns an array.
+// Fills in `timezone` in place and leaves it null if the lookup fails, since it is a convenience only.
+export async function inferTimezones(places: Place[]): Promise<void> {
+  if (places.length === 0) return;
+  const latitudes = places.map(p => p.latitude.toFixed(4)).join(",");
+  const longitudes = places.map(p => p.longitude.toFixed(4)).join(",");
+  const url = `${OPEN_METEO_FORECAST_URL}?latitude=${latitudes}&longitude=${longitudes}&timezone=auto&forecast_days=1`;
+  const response = await makeAPIRequest<OpenMeteoTimezoneResponse | OpenMeteoTimezoneResponse[]>(url);
+  if (!response) {
+    debug("geocode: timezone lookup failed, leaving timezones unset");
+    return;
+  }
+  const entries = Array.isArray(response) ? response : [response];
+  places.forEach((place, index) => { place.timezone = entries[index]?.timezone || null; });
+}
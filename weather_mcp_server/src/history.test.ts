@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { groupByForecastMonthDay, type HistoricalDay } from "./history.js";
+
+const day = (date: string, temperature_max: number): HistoricalDay => ({
+  date, weather_code: 0, weather: "Clear sky", temperature_max, temperature_min: null, temperature_mean: null, precipitation_sum: null, wind_speed_max: null,
+});
+
+test("a forecast Feb 29 gets Feb 28 of non-leap years and Feb 29 of leap years", () => {
+  // Forecast 2028-02-28..03-01; one year back is 2027 (no Feb 29), four years back is 2024 (leap).
+  const histories = [
+    [day("2027-02-28", 1), day("2027-03-01", 2)],
+    [day("2026-02-28", 3), day("2026-03-01", 4)],
+    [day("2025-02-28", 5), day("2025-03-01", 6)],
+    [day("2024-02-28", 7), day("2024-02-29", 8), day("2024-03-01", 9)],
+  ];
+  const normals = groupByForecastMonthDay("2028-02-28", "2028-03-01", histories);
+  const maxes = (key: string) => normals.get(key)?.map(d => d.temperature_max);
+  assert.deepEqual(maxes("02-28"), [1, 3, 5, 7]);
+  assert.deepEqual(maxes("02-29"), [1, 3, 5, 8]);
+  assert.deepEqual(maxes("03-01"), [2, 4, 6, 9]);
+});
+
+test("a historical Feb 29 is ignored when the forecast year has none", () => {
+  // Forecast 2025-02-28..03-01; one year back is 2024, which has a Feb 29.
+  const histories = [[day("2024-02-28", 1), day("2024-02-29", 2), day("2024-03-01", 3)]];
+  const normals = groupByForecastMonthDay("2025-02-28", "2025-03-01", histories);
+  assert.deepEqual([...normals.keys()], ["02-28", "03-01"]);
+  assert.deepEqual(normals.get("02-28")?.map(d => d.temperature_max), [1]);
+  assert.deepEqual(normals.get("03-01")?.map(d => d.temperature_max), [3]);
+});
@@ -0,0 +1,263 @@
+import { z } from "zod";
+import { makeAPIRequest } from "./api.js";
+import { debug } from "./debug.js";
+import { ProviderError, type DailyForecast } from "./providers/index.js";
+import { FALLBACK_UNIT_LABELS, unitQueryParams, type UnitSelection } from "./units.js";
+import { getWeatherDescription } from "./weatherCodes.js";
+
+// --- Historical weather and climate normals ---
+// Open-Meteo's archive API serves daily reanalysis (ERA5) back to 1940, a few days behind real time.
+// "Normals" are the mean of the same calendar days over the preceding N years of that archive; one
+// request per year keeps each response small and lets repeated comparisons hit the cache.
+
+export const OPEN_METEO_ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+export const ARCHIVE_FIRST_DATE = "1940-01-01";
+export const MAX_HISTORY_DAYS = 366;
+export const MAX_NORMAL_YEARS = 30;
+
+const HISTORY_DAILY_VARIABLES = ["weather_code", "temperature_2m_max", "temperature_2m_min", "temperature_2m_mean", "precipitation_sum", "wind_speed_10m_max"];
+
+interface OpenMeteoArchiveResponse {
+  latitude: number;
+  longitude: number;
+  timezone?: string;
+  daily_units?: Record<string, string>;
+  daily?: { time: string[] } & Record<string, (number | null)[]>;
+  error?: boolean;
+  reason?: string;
+}
+
+export const historicalDaySchema = z.object({
+  date: z.string(),
+  weather_code: z.number().nullable(),
+  weather: z.string(),
+  temperature_max: z.number().nullable(),
+  temperature_min: z.number().nullable(),
+  temperature_mean: z.number().nullable(),
+  precipitation_sum: z.number().nullable(),
+  wind_speed_max: z.number().nullable(),
+});
+export type HistoricalDay = z.infer<typeof historicalDaySchema>;
+
+const extremeSchema = z.object({ date: z.string(), value: z.number() });
+
+export const historySummarySchema = z.object({
+  days: z.number(),
+  temperature_mean: z.number().nullable().describe("Mean of the daily mean temperatures"),
+  temperature_max: extremeSchema.nullable().describe("Hottest day (highest daily maximum)"),
+  temperature_min: extremeSchema.nullable().describe("Coldest night (lowest daily minimum)"),
+  precipitation_total: z.number().nullable(),
+  wet_days: z.number().describe("Days with at least 1 mm (0.04 in) of precipitation"),
+  wettest_day: extremeSchema.nullable(),
+  most_common_weather: z.string().nullable(),
+});
+export type HistorySummary = z.infer<typeof historySummarySchema>;
+
+export interface DailyHistory {
+  location: { latitude: number; longitude: number; timezone: string };
+  units: Record<string, string>;
+  days: HistoricalDay[];
+}
+
+export const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidIsoDate(value: string): boolean {
+  return ISO_DATE_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+export function daysBetween(startDate: string, endDate: string): number {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400_000);
+}
+
+// Feb 29 falls back to Feb 28 in non-leap years.
+function shiftYears(date: string, years: number): string {
+  const year = Number(date.slice(0, 4)) - years;
+  const monthDay = date.slice(5);
+  const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  return `${year}-${monthDay === "02-29" && !isLeap ? "02-28" : monthDay}`;
+}
+
+function addDays(date: string, days: number): string {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400_000).toISOString().slice(0, 10);
+}
+
+const round1 = (value: number) => Math.round(value * 10) / 10;
+const mean = (values: number[]) => values.length ? round1(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+const present = (values: (number | null)[]) => values.filter((v): v is number => v !== null && v !== undefined);
+
+export async function fetchDailyHistory(
+  { latitude, longitude, startDate, endDate, timezone, units }:
+  { latitude: number; longitude: number; startDate: string; endDate: string; timezone?: string; units: UnitSelection },
+): Promise<DailyHistory> {
+  const tzParam = (timezone && timezone.trim() !== "") ? encodeURIComponent(timezone) : "auto";
+  const archiveUrl = `${OPEN_METEO_ARCHIVE_URL}?latitude=${latitude.toFixed(4)}&longitude=${longitude.toFixed(4)}&start_date=${startDate}&end_date=${endDate}&daily=${HISTORY_DAILY_VARIABLES.join(",")}&${unitQueryParams(units)}&timezone=${tzParam}`;
+  debug("history: archive URL", archiveUrl);
+  const data = await makeAPIRequest<OpenMeteoArchiveResponse>(archiveUrl, true);
+  if (!data) {
+    throw new ProviderError("UPSTREAM_UNAVAILABLE", "Failed to retrieve historical data from the Open-Meteo archive. The API might be temporarily unavailable.");
+  }
+  if (data.error) {
+    throw new ProviderError("UPSTREAM_ERROR", `Open-Meteo archive error: ${data.reason || "unknown error"}`);
+  }
+
+  const daily = data.daily;
+  const column = (name: string, i: number) => daily?.[name]?.[i] ?? null;
+  const days: HistoricalDay[] = (daily?.time || []).map((date, i) => ({
+    date,
+    weather_code: column("weather_code", i),
+    weather: getWeatherDescription(column("weather_code", i) ?? undefined),
+    temperature_max: column("temperature_2m_max", i),
+    temperature_min: column("temperature_2m_min", i),
+    temperature_mean: column("temperature_2m_mean", i),
+    precipitation_sum: column("precipitation_sum", i),
+    wind_speed_max: column("wind_speed_10m_max", i),
+  }));
+
+  const du = data.daily_units || {};
+  const temperature = du.temperature_2m_max || FALLBACK_UNIT_LABELS[units.temperature_unit];
+  return {
+    location: { latitude, longitude, timezone: data.timezone || decodeURIComponent(tzParam) },
+    units: {
+      temperature_max: temperature,
+      temperature_min: du.temperature_2m_min || temperature,
+      temperature_mean: du.temperature_2m_mean || temperature,
+      precipitation_sum: du.precipitation_sum || FALLBACK_UNIT_LABELS[units.precipitation_unit],
+      wind_speed_max: du.wind_speed_10m_max || FALLBACK_UNIT_LABELS[units.wind_speed_unit],
+    },
+    days,
+  };
+}
+
+function extreme(days: HistoricalDay[], field: "temperature_max" | "temperature_min" | "precipitation_sum", pick: "max" | "min") {
+  let best: { date: string; value: number } | null = null;
+  for (const day of days) {
+    const value = day[field];
+    if (value === null) continue;
+    if (!best || (pick === "max" ? value > best.value : value < best.value)) best = { date: day.date, value };
+  }
+  return best;
+}
+
+export function summarizeHistory(days: HistoricalDay[], units: UnitSelection): HistorySummary {
+  const precipitation = present(days.map(d => d.precipitation_sum));
+  const wetThreshold = units.precipitation_unit === "inch" ? 0.04 : 1;
+  const codeCounts = new Map<number, number>();
+  for (const day of days) {
+    if (day.weather_code !== null) codeCounts.set(day.weather_code, (codeCounts.get(day.weather_code) || 0) + 1);
+  }
+  const [commonCode] = Array.from(codeCounts.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+  return {
+    days: days.length,
+    temperature_mean: mean(present(days.map(d => d.temperature_mean))),
+    temperature_max: extreme(days, "temperature_max", "max"),
+    temperature_min: extreme(days, "temperature_min", "min"),
+    precipitation_total: precipitation.length ? round1(precipitation.reduce((sum, v) => sum + v, 0)) : null,
+    wet_days: precipitation.filter(v => v >= wetThreshold).length,
+    wettest_day: extreme(days, "precipitation_sum", "max"),
+    most_common_weather: commonCode === undefined ? null : getWeatherDescription(commonCode),
+  };
+}
+
+export const climateComparisonDaySchema = z.object({
+  date: z.string(),
+  weather: z.string(),
+  temperature_max: z.number().nullable(),
+  temperature_min: z.number().nullable(),
+  precipitation_sum: z.number().nullable(),
+  normal_temperature_max: z.number().nullable(),
+  normal_temperature_min: z.number().nullable(),
+  normal_precipitation_sum: z.number().nullable(),
+  record_high: z.number().nullable().describe("Highest daily maximum for this calendar day in the reference years"),
+  record_low: z.number().nullable().describe("Lowest daily minimum for this calendar day in the reference years"),
+  temperature_max_anomaly: z.number().nullable().describe("Forecast minus normal"),
+  temperature_min_anomaly: z.number().nullable().describe("Forecast minus normal"),
+  precipitation_anomaly: z.number().nullable().describe("Forecast minus normal"),
+});
+export type ClimateComparisonDay = z.infer<typeof climateComparisonDaySchema>;
+
+export const climateComparisonSummarySchema = z.object({
+  reference_years: z.string().describe("First and last year of the reference period, e.g. 2015-2024"),
+  temperature_max_anomaly: z.number().nullable().describe("Mean daily-maximum anomaly over the forecast period"),
+  temperature_min_anomaly: z.number().nullable().describe("Mean daily-minimum anomaly over the forecast period"),
+  precipitation_total: z.number().nullable(),
+  normal_precipitation_total: z.number().nullable(),
+});
+export type ClimateComparisonSummary = z.infer<typeof climateComparisonSummarySchema>;
+
+// Same calendar days of each of the `years` years before the forecast, keyed by MM-DD.
+export async function fetchClimateNormals(
+  { latitude, longitude, timezone, startDate, endDate, years, units }:
+  { latitude: number; longitude: number; timezone?: string; startDate: string; endDate: string; years: number; units: UnitSelection },
+): Promise<{ byMonthDay: Map<string, HistoricalDay[]>; firstYear: number; lastYear: number }> {
+  const offsets = Array.from({ length: years }, (_, i) => i + 1);
+  const histories = await Promise.all(offsets.map(offset =>
+    fetchDailyHistory({ latitude, longitude, timezone, startDate: shiftYears(startDate, offset), endDate: shiftYears(endDate, offset), units })));
+  const byMonthDay = groupByForecastMonthDay(startDate, endDate, histories.map(history => history.days));
+  const startYear = Number(startDate.slice(0, 4));
+  return { byMonthDay, firstYear: startYear - years, lastYear: startYear - 1 };
+}
+
+// histories[i] covers the forecast range shifted back i + 1 years. Samples are keyed by the forecast day
+// they stand in for, not by their own date: a forecast Feb 29 gets Feb 28 of non-leap years (and Feb 28
+// keeps it too), while a historical Feb 29 outside a leap forecast year matches no forecast day.
+export function groupByForecastMonthDay(startDate: string, endDate: string, histories: HistoricalDay[][]): Map<string, HistoricalDay[]> {
+  const byMonthDay = new Map<string, HistoricalDay[]>();
+  histories.forEach((days, i) => {
+    const forecastDays = new Map<string, string[]>(); // historical date -> forecast MM-DDs
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const shifted = shiftYears(date, i + 1);
+      forecastDays.set(shifted, [...(forecastDays.get(shifted) || []), date.slice(5)]);
+    }
+    for (const day of days) {
+      for (const key of forecastDays.get(day.date) || []) {
+        byMonthDay.set(key, [...(byMonthDay.get(key) || []), day]);
+      }
+    }
+  });
+  return byMonthDay;
+}
+
+export function compareWithNormals(
+  forecast: DailyForecast[],
+  normals: Map<string, HistoricalDay[]>,
+  referenceYears: string,
+): { days: ClimateComparisonDay[]; summary: ClimateComparisonSummary } {
+  const diff = (value: number | null, normal: number | null) => value === null || normal === null ? null : round1(value - normal);
+  const days = forecast.map(day => {
+    const history = normals.get(day.date.slice(5)) || [];
+    const maxes = present(history.map(h => h.temperature_max));
+    const mins = present(history.map(h => h.temperature_min));
+    const normalMax = mean(maxes);
+    const normalMin = mean(mins);
+    const normalPrecipitation = mean(present(history.map(h => h.precipitation_sum)));
+    return {
+      date: day.date,
+      weather: day.weather,
+      temperature_max: day.temperature_max,
+      temperature_min: day.temperature_min,
+      precipitation_sum: day.precipitation_sum,
+      normal_temperature_max: normalMax,
+      normal_temperature_min: normalMin,
+      normal_precipitation_sum: normalPrecipitation,
+      record_high: maxes.length ? Math.max(...maxes) : null,
+      record_low: mins.length ? Math.min(...mins) : null,
+      temperature_max_anomaly: diff(day.temperature_max, normalMax),
+      temperature_min_anomaly: diff(day.temperature_min, normalMin),
+      precipitation_anomaly: diff(day.precipitation_sum, normalPrecipitation),
+    };
+  });
+
+  const sum = (values: number[]) => values.length ? round1(values.reduce((total, v) => total + v, 0)) : null;
+  // Only days with both a forecast and a normal count towards the precipitation totals.
+  const paired = days.filter(d => d.precipitation_sum !== null && d.normal_precipitation_sum !== null);
+  return {
+    days,
+    summary: {
+      reference_years: referenceYears,
+      temperature_max_anomaly: mean(present(days.map(d => d.temperature_max_anomaly))),
+      temperature_min_anomaly: mean(present(days.map(d => d.temperature_min_anomaly))),
+      precipitation_total: sum(paired.map(d => d.precipitation_sum!)),
+      normal_precipitation_total: sum(paired.map(d => d.normal_precipitation_sum!)),
+    },
+  };
+}
@@ -0,0 +1,160 @@
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { createServer as createHttpServer, type IncomingMessage, type ServerResponse } from "node:http";
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { debug } from "./debug.js";
+
+// --- Streamable HTTP transport ---
+// One long-lived process serves many clients: POST /mcp with an initialize request opens a session
+// (Mcp-Session-Id header), later POST/GET/DELETE requests are routed to that session's transport.
+// GET /health is unauthenticated so load balancers and scripts can probe it.
+
+export interface HttpServerOptions {
+  host: string;
+  port: number;
+  token?: string;   // when set, /mcp requires "Authorization: Bearer <token>"
+  version: string;
+}
+
+const MCP_PATH = "/mcp";
+const HEALTH_PATH = "/health";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Sessions whose client vanished without sending DELETE are closed after this long without requests.
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// openStreams counts GET event streams; a client waiting on notifications is not idle.
+interface Session { transport: StreamableHTTPServerTransport; server: McpServer; lastSeen: number; openStreams: number; }
+
+function sendJson(res: ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res: ServerResponse, status: number, message: string, headers: Record<string, string> = {}) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null }, headers);
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+}
+
+function isAuthorized(req: IncomingMessage, token: string): boolean {
+  const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export function startHttpServer(createServer: () => McpServer, { host, port, token, version }: HttpServerOptions): Promise<void> {
+  const sessions = new Map<string, Session>();
+  const startedAt = Date.now();
+
+  const closeSession = (sessionId: string, reason: string) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    debug(`HTTP: closing session ${sessionId} (${reason}), ${sessions.size} active`);
+    session.server.close().catch(error => debug(`HTTP: error closing session ${sessionId}:`, error.message));
+  };
+
+  async function handleMcpRequest(req: IncomingMessage, res: ServerResponse) {
+    if (token && !isAuthorized(req, token)) {
+      sendJsonRpcError(res, 401, "Unauthorized: missing or invalid bearer token", { "WWW-Authenticate": 'Bearer realm="weather-mcp"' });
+      return;
+    }
+
+    const sessionHeader = req.headers["mcp-session-id"];
+    const sessionId = Array.isArray(sessionHeader) ? sessionHeader[0] : sessionHeader;
+    let body: unknown;
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch (error: any) {
+        sendJson(res, 400, { jsonrpc: "2.0", error: { code: -32700, message: `Parse error: ${error.message}` }, id: null });
+        return;
+      }
+    }
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        // Per the spec, 404 tells the client to start a new session with a fresh initialize.
+        sendJsonRpcError(res, 404, `Unknown or expired session '${sessionId}'`);
+        return;
+      }
+      session.lastSeen = Date.now();
+      if (req.method === "GET") {
+        session.openStreams++;
+        res.once("close", () => { session.openStreams--; session.lastSeen = Date.now(); });
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, "Bad request: no Mcp-Session-Id header, and the request is not an initialize request");
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: newSessionId => {
+        sessions.set(newSessionId, { transport, server, lastSeen: Date.now(), openStreams: 0 });
+        debug(`HTTP: session ${newSessionId} opened, ${sessions.size} active`);
+      },
+    });
+    await server.connect(transport);
+    // connect() takes over transport.onclose, so watch the protocol's close (DELETE, idle sweep or error).
+    const previousOnClose = server.server.onclose;
+    server.server.onclose = () => {
+      previousOnClose?.();
+      if (transport.sessionId) closeSession(transport.sessionId, "closed");
+    };
+    await transport.handleRequest(req, res, body);
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const path = new URL(req.url || "/", "http://localhost").pathname;
+    try {
+      if (path === HEALTH_PATH && req.method === "GET") {
+        sendJson(res, 200, { status: "ok", name: "weather", version, transport: "streamable-http", sessions: sessions.size, uptime_seconds: Math.round((Date.now() - startedAt) / 1000) });
+      } else if (path === MCP_PATH) {
+        await handleMcpRequest(req, res);
+      } else {
+        sendJson(res, 404, { error: `Not found. MCP endpoint is ${MCP_PATH}, health check is ${HEALTH_PATH}.` });
+      }
+    } catch (error: any) {
+      console.error("Error handling HTTP request:", error);
+      if (!res.headersSent) sendJsonRpcError(res, 500, "Internal server error");
+    }
+  });
+
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [sessionId, session] of sessions) {
+      if (session.openStreams === 0 && session.lastSeen < cutoff) closeSession(sessionId, "idle");
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  if (!token && host !== "127.0.0.1" && host !== "localhost" && host !== "::1") {
+    console.error(`Warning: serving MCP on ${host} without a bearer token; anyone who can reach this port can use the server.`);
+  }
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      console.error(`Weather MCP Server (Worldwide v${version}) listening on http://${host.includes(":") ? `[${host}]` : host}:${port}${MCP_PATH}`);
+      resolve();
+    });
+  });
+}
@@ -1,283 +1,721 @@
+import { parseArgs } from "node:util";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
+import { airQualityReadingSchema, fetchAirQuality, MAX_AIR_QUALITY_HOURS, type AirQualityReading } from "./airQuality.js";
+import { makeAPIRequest, NWS_API_BASE } from "./api.js";
+import { registerAlertSubscriptions } from "./alertWatcher.js";
+import {
+  ALERT_CERTAINTIES, ALERT_SEVERITIES, ALERT_SORT_KEYS, ALERT_URGENCIES, alertSchema, describeAlertQuery, fetchActiveAlerts, fetchAlertById,
+  formatNWSAlert, formatNWSAlertSummary, MARINE_AREAS, sortAlerts, type AlertFilters, type AlertQuery, type AlertSortKey,
+} from "./alerts.js";
+import { debug } from "./debug.js";
+import { startHttpServer } from "./httpServer.js";
+import {
+  ARCHIVE_FIRST_DATE, climateComparisonDaySchema, climateComparisonSummarySchema, compareWithNormals, daysBetween, fetchClimateNormals, fetchDailyHistory,
+  historicalDaySchema, historySummarySchema, ISO_DATE_PATTERN, isValidIsoDate, MAX_HISTORY_DAYS, MAX_NORMAL_YEARS, summarizeHistory,
+} from "./history.js";
+import { formatPlace, inferTimezones, MAX_GEOCODE_CANDIDATES, placeSchema, reversePlace, searchPlaces } from "./geocode.js";
+import {
+  currentConditionsSchema, dailyForecastSchema, getForecastWithFailover, locationPointSchema, MAX_FORECAST_DAYS, PROVIDER_IDS,
+  ProviderError, unitLabelsSchema, type NormalizedForecast,
+} from "./providers/index.js";
+import { OPEN_METEO_FORECAST_URL, type OpenMeteoForecastResponse } from "./providers/openMeteo.js";
+import { registerWeatherResources } from "./resources.js";
+import { baseOutputShape, toolError, toolSuccess } from "./results.js";
+import { FALLBACK_UNIT_LABELS, formatMeasurement, resolveUnits, unitQueryParams, unitsInputShape, type UnitArgs, type UnitSelection } from "./units.js";
+import { getWeatherDescription } from "./weatherCodes.js";
+
+
+
+const MAX_FORECAST_HOURS = MAX_FORECAST_DAYS * 24;
+
+// Friendly variable names exposed to the LLM, mapped to Open-Meteo hourly params.
+// `quantity` picks the fallback unit label when the API omits hourly_units.
+const HOURLY_VARIABLES = {
+  temperature: { param: "temperature_2m", quantity: "temperature" },
+  apparent_temperature: { param: "apparent_temperature", quantity: "temperature" },
+  dew_point: { param: "dew_point_2m", quantity: "temperature" },
+  humidity: { param: "relative_humidity_2m", quantity: "%" },
+  precipitation_probability: { param: "precipitation_probability", quantity: "%" },
+  precipitation: { param: "precipitation", quantity: "precipitation" },
+  snowfall: { param: "snowfall", quantity: "cm" },
+  weather: { param: "weather_code", quantity: "" },
+  cloud_cover: { param: "cloud_cover", quantity: "%" },
+  visibility: { param: "visibility", quantity: "m" },
+  wind_speed: { param: "wind_speed_10m", quantity: "wind" },
+  wind_direction: { param: "wind_direction_10m", quantity: "°" },
+  wind_gusts: { param: "wind_gusts_10m", quantity: "wind" },
+  uv_index: { param: "uv_index", quantity: "" },
+  pressure: { param: "pressure_msl", quantity: "hPa" },
+  is_day: { param: "is_day", quantity: "" },
+} as const;
+type HourlyVariable = keyof typeof HOURLY_VARIABLES;
+const HOURLY_VARIABLE_NAMES = Object.keys(HOURLY_VARIABLES) as [HourlyVariable, ...HourlyVariable[]];
+const DEFAULT_HOURLY_VARIABLES: HourlyVariable[] = ["temperature", "precipitation_probability", "precipitation", "weather", "wind_speed"];
+
+function fallbackHourlyUnit(variable: HourlyVariable, units: UnitSelection): string {
+  const quantity = HOURLY_VARIABLES[variable].quantity;
+  if (quantity === "temperature") return FALLBACK_UNIT_LABELS[units.temperature_unit];
+  if (quantity === "wind") return FALLBACK_UNIT_LABELS[units.wind_speed_unit];
+  if (quantity === "precipitation") return FALLBACK_UNIT_LABELS[units.precipitation_unit];
+  return quantity;
+}
 
-const NWS_API_BASE = "https://api.weather.gov"; // Still used for US-specific alerts
-const USER_AGENT_BASE = "weather-app/1.0 (MCP Example)";
+// Open-Meteo local times look like "2025-05-26T15:00" (no offset). Treat them as UTC purely for arithmetic.
+const LOCAL_HOUR_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+function normalizeLocalHour(value: string): string | null {
+  const trimmed = value.trim();
+  const withTime = /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T00:00` : trimmed.slice(0, 16);
+  if (!LOCAL_HOUR_PATTERN.test(withTime) || isNaN(Date.parse(`${withTime}:00Z`))) return null;
+  return `${withTime.slice(0, 13)}:00`;
+}
+function addHours(localHour: string, hours: number): string {
+  return new Date(Date.parse(`${localHour}:00Z`) + hours * 3600_000).toISOString().slice(0, 16);
+}
+function hoursBetween(startLocalHour: string, endLocalHour: string): number {
+  return (Date.parse(`${endLocalHour}:00Z`) - Date.parse(`${startLocalHour}:00Z`)) / 3600_000;
+}
 
-const DEBUG = process.env.DEBUG === "1" || process.env.DEBUG === "true";
-function debug(...args: any[]) {
-  if (DEBUG) {
-    console.error("[SERVER DEBUG]", ...args);
-  }
+// --- Tool Definitions ---
+
+interface AlertOptions extends AlertFilters {
+  sortBy?: AlertSortKey;
+  mode?: "summary" | "full";
+  limit?: number;
 }
 
-const server = new McpServer({
-  name: "weather",
-  version: "1.3.0", // Using Nominatim for geocoding
-  capabilities: {
-    resources: {},
-    tools: {},
+// Summary mode keeps the payload small: headlines and IDs only, with descriptions left for alert_id lookups.
+async function getAlerts(query: AlertQuery, { sortBy = "severity", mode = "full", limit, ...filters }: AlertOptions = {}): Promise<CallToolResult> {
+  const label = describeAlertQuery(query);
+  debug("get-alerts: query", label, "filters", JSON.stringify(filters));
+  const alerts = await fetchActiveAlerts(query, filters);
+  if (!alerts) {
+    debug("get-alerts: No alertsData received or failed to fetch from NWS.");
+    return toolError("UPSTREAM_UNAVAILABLE", `Failed to retrieve alerts data from NWS for ${label}. The API might be down, the location might be invalid, or there could be a network issue.`);
+  }
+  const areaCode = "area" in query ? query.area.toUpperCase() : undefined;
+  const filtered = Object.values(filters).some(f => f?.length) ? " matching the given filters" : "";
+  if (alerts.length === 0) {
+    return toolSuccess(`No active NWS alerts for ${label}${filtered} at this time.`, { query: label, state: areaCode, mode, total: 0, count: 0, alerts });
   }
-});
-
-async function makeAPIRequest<T>(
-  url: string,
-  isJsonResponse: boolean = true,
-  customHeaders?: Record<string, string>
-): Promise<T | null> {
-  const headers: Record<string, string> = {
-    "User-Agent": USER_AGENT_BASE,
-    ...(customHeaders || {}),
-  };
 
-  if (isJsonResponse && !headers["Accept"]) {
-    headers["Accept"] = "application/json";
+  const sorted = sortAlerts(alerts, sortBy);
+  const shown = limit ? sorted.slice(0, limit) : sorted;
+  const more = shown.length < sorted.length ? `\n\n(${sorted.length - shown.length} more not shown; raise 'limit' or narrow the filters.)` : "";
+  if (mode === "summary") {
+    const headlines = shown.map(alert => ({ ...alert, description: null, instruction: null }));
+    const text = `Active NWS alerts for ${label}${filtered} (${sorted.length}). Pass an id as 'alert_id' for full details:\n\n${shown.map(formatNWSAlertSummary).join("\n")}${more}`;
+    return toolSuccess(text, { query: label, state: areaCode, mode, total: sorted.length, count: shown.length, alerts: headlines });
   }
+  const text = `Active NWS alerts for ${label}${filtered}:\n\n${shown.map(formatNWSAlert).join("\n")}${more}`;
+  return toolSuccess(text, { query: label, state: areaCode, mode, total: sorted.length, count: shown.length, alerts: shown });
+}
 
-  debug("Requesting URL:", url, "with headers:", JSON.stringify(headers));
-
-  let fetchFn = globalThis.fetch;
-  let usedFetchSource = "globalThis.fetch";
-
-  if (typeof fetchFn !== 'function') {
-    debug("globalThis.fetch is not available or not a function, attempting to import node-fetch.");
-    try {
-      const { default: nodeFetch } = await import('node-fetch');
-      fetchFn = nodeFetch as any;
-      usedFetchSource = "node-fetch";
-      debug("Successfully imported and using node-fetch.");
-    } catch (importError) {
-      console.error("Failed to import node-fetch and globalThis.fetch is not available/functional.", importError);
-      return null;
-    }
+async function getAlertById(id: string): Promise<CallToolResult> {
+  debug("get-alerts: expanding alert", id);
+  const alert = await fetchAlertById(id);
+  if (!alert) {
+    return toolError("NOT_FOUND", `Could not retrieve NWS alert '${id}'. It may have expired, the ID may be wrong, or the API is unavailable.`, true);
   }
+  return toolSuccess(`NWS alert ${alert.id}:\n\n${formatNWSAlert(alert)}`, { query: `alert ${alert.id}`, mode: "full", total: 1, count: 1, alerts: [alert] });
+}
 
-  if (typeof fetchFn !== 'function') {
-    console.error("Critical: fetch function is still not available after attempting import.");
-    return null;
+const alertsInputShape = {
+  state: z.string().regex(/^[A-Za-z]{2}$/, { message: "State code must be 2 letters." }).optional().describe("Two-letter US state or territory code (e.g. CA, NY)"),
+  latitude: z.number().min(-90).max(90).optional().describe("Latitude of a point; returns alerts whose area covers it. Use with longitude."),
+  longitude: z.number().min(-180).max(180).optional().describe("Longitude of a point. Use with latitude."),
+  zone: z.string().regex(/^[A-Za-z]{2}[ZCzc]\d{3}$/, { message: "Zone must look like TXZ211 (forecast zone) or TXC453 (county)." }).optional()
+    .describe("NWS forecast zone or county zone ID, e.g. TXZ211 or TXC453"),
+  marine_area: z.enum(MARINE_AREAS).optional()
+    .describe("NWS marine area: GM Gulf of Mexico, AM western Atlantic, AN northwest Atlantic, PZ eastern Pacific, PK Alaska, PH Hawaii, PS American Samoa, PM Mariana Islands, LS/LM/LH/LE/LO/LC Great Lakes, SL St. Lawrence River"),
+  alert_id: z.string().min(1).optional().describe("Return full details for one alert ID from a previous summary; location and filters are ignored"),
+  severity: z.array(z.enum(ALERT_SEVERITIES)).optional().describe("Only alerts with one of these severities"),
+  urgency: z.array(z.enum(ALERT_URGENCIES)).optional().describe("Only alerts with one of these urgencies"),
+  certainty: z.array(z.enum(ALERT_CERTAINTIES)).optional().describe("Only alerts with one of these certainties"),
+  event: z.array(z.string().min(1)).optional().describe("Only alerts whose event name contains one of these (case-insensitive), e.g. ['tornado', 'flood']"),
+  sort_by: z.enum(ALERT_SORT_KEYS).default("severity").describe("'severity' lists the most serious first; 'onset' and 'expires' sort by time"),
+  mode: z.enum(["summary", "full"]).default("summary").describe("'summary' returns headlines and IDs only; 'full' includes descriptions and instructions"),
+  limit: z.number().int().min(1).max(500).default(20).describe("Maximum number of alerts to return"),
+};
+type AlertsArgs = z.infer<z.ZodObject<typeof alertsInputShape>>;
+
+// Exactly one of state / latitude+longitude / zone / marine_area picks the area to search.
+function alertQueryFromArgs({ state, latitude, longitude, zone, marine_area }: AlertsArgs): AlertQuery | string {
+  const selectors: AlertQuery[] = [];
+  if (state) selectors.push({ area: state.toUpperCase() });
+  if (marine_area) selectors.push({ area: marine_area });
+  if (zone) selectors.push({ zone: zone.toUpperCase() });
+  if (latitude !== undefined || longitude !== undefined) {
+    if (latitude === undefined || longitude === undefined) return "Both latitude and longitude are required for a point query.";
+    selectors.push({ point: { latitude, longitude } });
+  }
+  if (selectors.length !== 1) {
+    return `Provide exactly one of state, latitude/longitude, zone or marine_area (got ${selectors.length === 0 ? "none" : selectors.length}).`;
   }
+  return selectors[0];
+}
 
-  let responseTextForDebugging = "";
+function registerAlertTools(server: McpServer) {
+  server.registerTool(
+    "get-alerts",
+    {
+      description: "Get active weather alerts from the National Weather Service (NWS) for a US state (e.g. 'CA'), a latitude/longitude point, an NWS zone or a marine area. " +
+        "Filter by severity, urgency, certainty or event type. Results are sorted most severe first and returned as headlines with IDs by default; " +
+        "pass an ID as alert_id, or use mode 'full', for descriptions and safety instructions.",
+      inputSchema: alertsInputShape,
+      outputSchema: {
+        ...baseOutputShape,
+        query: z.string().optional().describe("The area or alert that was searched"),
+        state: z.string().optional().describe("State or marine area code, for area queries"),
+        mode: z.enum(["summary", "full"]).optional(),
+        total: z.number().optional().describe("Matching alerts before 'limit' was applied"),
+        count: z.number().optional(),
+        alerts: z.array(alertSchema).optional(),
+      },
+    },
+    async (args) => {
+      if (args.alert_id) return getAlertById(args.alert_id);
+      const query = alertQueryFromArgs(args);
+      if (typeof query === "string") return toolError("INVALID_INPUT", query);
+      const { severity, urgency, certainty, event, sort_by, mode, limit } = args;
+      return getAlerts(query, { severity, urgency, certainty, event, sortBy: sort_by, mode, limit });
+    },
+  );
+}
 
-  try {
-    const response = await fetchFn(url, { headers });
-    debug(`Response status from ${url} (using ${usedFetchSource}):`, response.status, response.statusText);
+type GeocodeArgs = {
+  locationName: string;
+  limit?: number;
+  country_codes?: string[];
+  viewbox?: [number, number, number, number];
+  bounded?: boolean;
+  include_timezone?: boolean;
+};
+
+async function geocodeLocation({ locationName, limit = 1, country_codes, viewbox, bounded, include_timezone = true }: GeocodeArgs): Promise<CallToolResult> {
+  debug("get-latlong-from-name: locationName being processed:", locationName);
+  const candidates = await searchPlaces(locationName, { limit, countryCodes: country_codes, viewbox, bounded });
+  if (!candidates) {
+    return toolError("UPSTREAM_UNAVAILABLE", `Failed to reach Nominatim while geocoding '${locationName}'. The API might be down or rate limiting requests.`);
+  }
+  if (candidates.length === 0) {
+    const bias = country_codes?.length || viewbox ? " with the given country/viewbox restriction" : "";
+    return toolError("NOT_FOUND", `Could not find coordinates for the location: '${locationName}'${bias} using Nominatim. Please be more specific, check spelling, or the location might not be found.`);
+  }
+  if (include_timezone) await inferTimezones(candidates);
+  debug("get-latlong-from-name: Geocoding successful with Nominatim:", JSON.stringify(candidates));
+
+  const [best] = candidates;
+  const text = candidates.length === 1
+    ? `Location: ${best.name}\nLatitude: ${best.latitude}\nLongitude: ${best.longitude}${best.timezone ? `\nTimezone: ${best.timezone}` : ""}`
+    : `Found ${candidates.length} candidates for '${locationName}', best match first. If the user's intent is unclear, ask which one they meant:\n\n${candidates.map(formatPlace).join("\n")}`;
+  return toolSuccess(text, { location: best, candidates });
+}
 
-    responseTextForDebugging = await response.text();
+function registerGeocodingTools(server: McpServer) {
+  server.registerTool(
+    "get-latlong-from-name",
+    {
+      description: "Get latitude and longitude for a named location using Nominatim (OpenStreetMap API). Global coverage. " +
+        "Returns the best match with address parts and timezone; set limit > 1 to get ranked candidates for ambiguous names (e.g. 'Paris'), " +
+        "and use country_codes or viewbox to bias results towards the user's region.",
+      inputSchema: {
+        locationName: z.string().min(1, {message: "Location name cannot be empty."}).describe("The name of the location (e.g., 'New York', 'Paris, France', 'Tokyo', 'Paris TX')"),
+        limit: z.number().int().min(1).max(MAX_GEOCODE_CANDIDATES).default(1).describe(`Number of candidates to return (1-${MAX_GEOCODE_CANDIDATES}), best match first`),
+        country_codes: z.array(z.string().regex(/^[A-Za-z]{2}$/, { message: "Country codes must be ISO 3166-1 alpha-2, e.g. US." })).optional()
+          .describe("Only return places in these countries (ISO 3166-1 alpha-2, e.g. ['US', 'CA'])"),
+        viewbox: z.tuple([z.number().min(-180).max(180), z.number().min(-90).max(90), z.number().min(-180).max(180), z.number().min(-90).max(90)]).optional()
+          .describe("Prefer places inside this box: [west, south, east, north] in degrees"),
+        bounded: z.boolean().optional().describe("With viewbox, only return places inside it rather than just preferring them"),
+        include_timezone: z.boolean().default(true).describe("Look up the IANA timezone of each result (one extra request)"),
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        location: placeSchema.optional().describe("The best match"),
+        candidates: z.array(placeSchema).optional().describe("All matches, best first (includes the best match)"),
+      },
+    },
+    geocodeLocation,
+  );
+
+  server.registerTool(
+    "get-name-from-latlong",
+    {
+      description: "Get a human-readable place name (city, state, country) for a latitude and longitude using Nominatim reverse geocoding. Global coverage. Also returns the location's timezone.",
+      inputSchema: {
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location"),
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location"),
+        zoom: z.number().int().min(3).max(18).default(10).describe("Level of detail: 3 country, 5 state, 10 city (default), 14 suburb, 16 street, 18 building"),
+        include_timezone: z.boolean().default(true).describe("Look up the IANA timezone of the location (one extra request)"),
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        location: placeSchema.optional(),
+      },
+    },
+    async ({ latitude, longitude, zoom, include_timezone }) => {
+      debug("get-name-from-latlong:", latitude, longitude, "zoom", zoom);
+      const place = await reversePlace(latitude, longitude, zoom);
+      if (place === null) {
+        return toolError("UPSTREAM_UNAVAILABLE", `Failed to reach Nominatim while reverse geocoding (${latitude.toFixed(4)}, ${longitude.toFixed(4)}). The API might be down or rate limiting requests.`);
+      }
+      if (place === "not-found") {
+        return toolError("NOT_FOUND", `Nominatim has no named place at (${latitude.toFixed(4)}, ${longitude.toFixed(4)}). The point may be at sea or in an unnamed area; try a lower zoom.`);
+      }
+      if (include_timezone) await inferTimezones([place]);
+      return toolSuccess(formatPlace(place), { location: place });
+    },
+  );
+}
 
-    if (!response.ok) {
-      console.error(`Error making API request to ${url} using ${usedFetchSource}. Status: ${response.status}, Raw Body: ${responseTextForDebugging.substring(0, 500)}`);
-      return null;
+function formatForecastText({ provider, location, units: unitLabels, current, daily }: NormalizedForecast, fallbackFrom: string[]): string {
+  const u = (value: number | null, field: string) => formatMeasurement(value ?? undefined, unitLabels[field]);
+  let responseText = `Weather Forecast for location (lat: ${location.latitude.toFixed(2)}, lon: ${location.longitude.toFixed(2)}), Timezone: ${location.timezone}:\n`;
+  responseText += `Source: ${provider}${fallbackFrom.length > 0 ? ` (fallback after ${fallbackFrom.join(", ")} failed)` : ""}\n`;
+
+  if (current) {
+    responseText += "\n--- Current Weather ---\n";
+    responseText += `Time: ${current.time}\n`;
+    responseText += `Temperature: ${u(current.temperature, "temperature")}\n`;
+    if (current.apparent_temperature !== null) responseText += `Apparent Temp: ${u(current.apparent_temperature, "apparent_temperature")}\n`;
+    if (current.humidity !== null) responseText += `Humidity: ${u(current.humidity, "humidity")}\n`;
+    responseText += `Weather: ${current.weather}\n`;
+    responseText += `Wind: ${u(current.wind_speed, "wind_speed")} from ${u(current.wind_direction, "wind_direction")}${current.wind_gusts !== null ? ` (Gusts: ${u(current.wind_gusts, "wind_gusts")})` : ""}\n`;
+    if (current.precipitation !== null) responseText += `Precipitation: ${u(current.precipitation, "precipitation")}\n`;
+    if (current.cloud_cover !== null) responseText += `Cloud Cover: ${u(current.cloud_cover, "cloud_cover")}\n`;
+    if (current.pressure_msl !== null) responseText += `Pressure: ${u(current.pressure_msl, "pressure_msl")}\n`;
+  } else { responseText += "Current weather data not available.\n"; }
+
+  if (daily.length > 0) {
+    responseText += `\n--- Daily Forecast (${daily.length} days) ---\n`;
+    for (const day of daily) {
+      responseText += `Date: ${day.date}\n`;
+      responseText += `  Weather: ${day.weather}\n`;
+      responseText += `  Max Temp: ${u(day.temperature_max, "temperature_max")}\n`;
+      responseText += `  Min Temp: ${u(day.temperature_min, "temperature_min")}\n`;
+      if (day.precipitation_sum !== null) {
+        responseText += `  Precipitation Sum: ${u(day.precipitation_sum, "precipitation_sum")}\n`;
+      }
+      responseText += "  ---\n";
     }
+  } else { responseText += "Daily forecast data not available.\n"; }
 
-    debug(`Raw response text from ${url} (using ${usedFetchSource}):`, responseTextForDebugging.substring(0, 1000) + "...");
-
-    if (!isJsonResponse) {
-      return responseTextForDebugging as T;
-    }
+  return responseText.trim();
+}
 
-    const jsonData = JSON.parse(responseTextForDebugging);
-    debug(`Parsed JSON data from ${url} (using ${usedFetchSource}):`, JSON.stringify(jsonData, null, 2).substring(0, 500) + "...");
-    return jsonData as T;
+type ForecastArgs = UnitArgs & { latitude: number; longitude: number; timezone?: string; forecast_days?: number; };
 
+async function getForecast({ latitude, longitude, timezone, forecast_days = 7, ...unitArgs }: ForecastArgs): Promise<CallToolResult> {
+  const units = resolveUnits(unitArgs);
+  try {
+    const { forecast, attempts } = await getForecastWithFailover({ latitude, longitude, timezone, forecastDays: forecast_days, units });
+    const failed = attempts.filter(a => !a.ok).map(a => a.provider);
+    debug("get-worldwide-forecast: answered by", forecast.provider, "attempts:", JSON.stringify(attempts));
+    return toolSuccess(formatForecastText(forecast, failed), { ...forecast, attempts });
   } catch (error: any) {
-    console.error(`Error during API request or JSON parsing for ${url} using ${usedFetchSource}:`, error.message);
-    console.error(`Raw text received that might have caused error:`, responseTextForDebugging.substring(0, 1000) + "...");
-    return null;
+    debug("get-worldwide-forecast: all providers failed:", error.message);
+    if (error instanceof ProviderError) return toolError(error.code, error.message, error.retryable);
+    return toolError("UPSTREAM_UNAVAILABLE", error?.message || String(error));
   }
 }
 
-// --- NWS Alert Interfaces ---
-interface AlertFeatureProperties { event?: string; areaDesc?: string; severity?: string; status?: string; headline?: string; description?: string; instruction?: string; }
-interface AlertFeature { properties: AlertFeatureProperties; }
-interface AlertsResponse { features: AlertFeature[]; }
-
-function formatNWSAlert(feature: AlertFeature): string {
-  const props = feature.properties;
-  return [
-    `Event: ${props.event || "Unknown"}`, `Area: ${props.areaDesc || "Unknown"}`,
-    `Severity: ${props.severity || "Unknown"}`, `Status: ${props.status || "Unknown"}`,
-    `Headline: ${props.headline || "No headline available"}`, `Description: ${props.description || "No description available."}`,
-    `Instruction: ${props.instruction || "No specific instructions."}`, "---",
-  ].join("\n");
-}
-
-// --- Nominatim Geocoding Interfaces ---
-interface NominatimResultItem {
-  place_id: number;
-  licence: string;
-  osm_type: string;
-  osm_id: number;
-  boundingbox: string[];
-  lat: string;
-  lon: string;
-  display_name: string;
-  class: string;
-  type: string;
-  importance: number;
-  icon?: string;
-  // Nominatim can include address details if requested with addressdetails=1
-  address?: {
-    city?: string;
-    town?: string;
-    village?: string;
-    county?: string;
-    state?: string;
-    country?: string;
-    country_code?: string;
-    // ... and other address components
-  };
-}
-type NominatimGeocodeResponse = NominatimResultItem[];
+function registerForecastTools(server: McpServer) {
+  server.registerTool(
+    "get-worldwide-forecast",
+    {
+      description: "Get the current weather and a multi-day forecast for a given latitude, longitude (global coverage). Uses Open-Meteo, falling back to other configured providers (e.g. the US National Weather Service) if it is unavailable. An optional timezone (e.g. America/New_York) and units ('metric' or 'imperial', or per-quantity overrides) can be provided.",
+      inputSchema: { 
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"), 
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"), 
+        timezone: z.string().optional().describe("Timezone (e.g., 'America/New_York', 'Europe/London'). Defaults to 'auto' if not provided. get-latlong-from-name and get-name-from-latlong return it for each place."), 
+        forecast_days: z.number().int().min(1).max(MAX_FORECAST_DAYS).optional().describe(`Number of days in the daily forecast, including today (1-${MAX_FORECAST_DAYS}). Defaults to 7.`),
+        ...unitsInputShape,
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        provider: z.enum(PROVIDER_IDS).optional().describe("The provider that answered."),
+        attempts: z.array(z.object({ provider: z.enum(PROVIDER_IDS), ok: z.boolean(), error: z.string().optional() })).optional(),
+        location: locationPointSchema.optional(),
+        units: unitLabelsSchema.optional(),
+        current: currentConditionsSchema.nullable().optional(),
+        daily: z.array(dailyForecastSchema).optional(),
+      },
+    },
+    getForecast,
+  );
+
+  server.registerTool(
+    "get-hourly-forecast",
+    {
+      description: `Get an hour-by-hour forecast for a latitude/longitude using Open-Meteo (global coverage, up to ${MAX_FORECAST_DAYS} days ahead). Use it for questions about a specific time, e.g. 'will it rain at 3pm tomorrow'. Choose the window with start_time/end_time (local time of the location) or a number of hours, and pick only the variables you need to keep the output short.`,
+      inputSchema: {
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"),
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"),
+        timezone: z.string().optional().describe("Timezone (e.g., 'America/New_York', 'Europe/London'). Defaults to 'auto' (the location's own timezone)."),
+        start_time: z.string().optional().describe("First hour to include, in the location's local time: 'YYYY-MM-DDTHH:MM' or 'YYYY-MM-DD'. Defaults to the current hour."),
+        end_time: z.string().optional().describe("Last hour to include, in the location's local time: 'YYYY-MM-DDTHH:MM' or 'YYYY-MM-DD'. If omitted, 'hours' is used."),
+        hours: z.number().int().min(1).max(MAX_FORECAST_HOURS).optional().describe(`Number of hours to return when end_time is not given (1-${MAX_FORECAST_HOURS}). Defaults to 24.`),
+        variables: z.array(z.enum(HOURLY_VARIABLE_NAMES)).min(1).optional().describe(`Hourly variables to include. Defaults to ${DEFAULT_HOURLY_VARIABLES.join(", ")}.`),
+        ...unitsInputShape,
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        location: locationPointSchema.optional(),
+        units: unitLabelsSchema.optional(),
+        variables: z.array(z.enum(HOURLY_VARIABLE_NAMES)).optional(),
+        // One object per hour: { time, <variable>: value, ... }; `weather` is the WMO description.
+        hours: z.array(z.object({ time: z.string() }).catchall(z.union([z.number(), z.string(), z.null()]))).optional(),
+      },
+    },
+    async ({ latitude, longitude, timezone, start_time, end_time, hours = 24, variables, ...unitArgs }) => {
+      const tzParam = (timezone && timezone.trim() !== "") ? encodeURIComponent(timezone) : "auto";
+      const units = resolveUnits(unitArgs);
+      const selected: HourlyVariable[] = Array.from(new Set(variables && variables.length > 0 ? variables : DEFAULT_HOURLY_VARIABLES));
+
+      let windowParams: string;
+      if (start_time || end_time) {
+        const start = start_time ? normalizeLocalHour(start_time) : null;
+        const end = end_time ? normalizeLocalHour(end_time) : null;
+        if ((start_time && !start) || (end_time && !end)) {
+          return toolError("INVALID_INPUT", "start_time and end_time must be local times formatted as 'YYYY-MM-DDTHH:MM' or 'YYYY-MM-DD'.");
+        }
+        if (!start) {
+          return toolError("INVALID_INPUT", "end_time requires start_time. Use 'hours' alone to count from the current hour.");
+        }
+        const effectiveEnd = end || addHours(start, hours - 1);
+        const span = hoursBetween(start, effectiveEnd);
+        if (span < 0 || span >= MAX_FORECAST_HOURS) {
+          return toolError("INVALID_INPUT", `end_time must be after start_time and the window can cover at most ${MAX_FORECAST_HOURS} hours.`);
+        }
+        windowParams = `start_hour=${start}&end_hour=${effectiveEnd}`;
+      } else {
+        // forecast_days only widens the pool forecast_hours is cut from; Open-Meteo rejects it alongside start_hour.
+        windowParams = `forecast_days=${MAX_FORECAST_DAYS}&forecast_hours=${hours}`;
+      }
 
+      const hourlyParams = selected.map(v => HOURLY_VARIABLES[v].param).join(",");
+      const forecastUrl = `${OPEN_METEO_FORECAST_URL}?latitude=${latitude.toFixed(4)}&longitude=${longitude.toFixed(4)}&hourly=${hourlyParams}&${unitQueryParams(units)}&timezone=${tzParam}&${windowParams}`;
 
-// --- Open-Meteo Forecast Interfaces ---
-interface OpenMeteoCurrentData { time: string; temperature_2m: number; relative_humidity_2m: number; apparent_temperature: number; is_day: number; precipitation: number; rain: number; showers: number; snowfall: number; weather_code: number; cloud_cover: number; pressure_msl: number; surface_pressure: number; wind_speed_10m: number; wind_direction_10m: number; wind_gusts_10m: number; }
-interface OpenMeteoDailyUnits { time: string; weather_code: string; temperature_2m_max: string; temperature_2m_min: string; precipitation_sum: string; }
-interface OpenMeteoDailyData { time: string[]; weather_code: number[]; temperature_2m_max: number[]; temperature_2m_min: number[]; precipitation_sum?: number[]; }
-interface OpenMeteoForecastResponse { latitude: number; longitude: number; generationtime_ms: number; utc_offset_seconds: number; timezone: string; timezone_abbreviation: string; elevation: number; current?: OpenMeteoCurrentData; daily_units?: OpenMeteoDailyUnits; daily?: OpenMeteoDailyData; error?: boolean; reason?: string; }
+      debug("get-hourly-forecast: Open-Meteo URL", forecastUrl);
+      const forecastData = await makeAPIRequest<OpenMeteoForecastResponse>(forecastUrl, true);
 
-const WMO_CODES: Record<number, string> = {0: "Clear sky", 1: "Mainly clear", 2: "Partly cloudy", 3: "Overcast", 45: "Fog", 48: "Depositing rime fog", 51: "Light drizzle", 53: "Moderate drizzle", 55: "Dense drizzle", 56: "Light freezing drizzle", 57: "Dense freezing drizzle", 61: "Slight rain", 63: "Moderate rain", 65: "Heavy rain", 66: "Light freezing rain", 67: "Heavy freezing rain", 71: "Slight snow fall", 73: "Moderate snow fall", 75: "Heavy snow fall", 77: "Snow grains", 80: "Slight rain showers", 81: "Moderate rain showers", 82: "Violent rain showers", 85: "Slight snow showers", 86: "Heavy snow showers", 95: "Thunderstorm", 96: "Thunderstorm with slight hail", 99: "Thunderstorm with heavy hail"};
-function getWeatherDescription(code: number | undefined): string { return code !== undefined ? WMO_CODES[code] || `Unknown weather code: ${code}` : "Not available"; }
+      if (!forecastData) {
+        debug("get-hourly-forecast: No forecast data received from Open-Meteo.");
+        return toolError("UPSTREAM_UNAVAILABLE", "Failed to retrieve hourly forecast data from Open-Meteo. The API might be temporarily unavailable or location parameters are invalid.");
+      }
+      if (forecastData.error) {
+        debug("get-hourly-forecast: Open-Meteo API returned an error:", forecastData.reason);
+        return toolError("UPSTREAM_ERROR", `Open-Meteo forecast error: ${forecastData.reason || "unknown error"}`);
+      }
+      const hourly = forecastData.hourly;
+      if (!hourly || !hourly.time || hourly.time.length === 0) {
+        return toolError("NOT_FOUND", "Hourly forecast data not available for the requested window.");
+      }
 
+      const location = { latitude, longitude, timezone: forecastData.timezone || decodeURIComponent(tzParam), elevation: forecastData.elevation };
+      const hu = forecastData.hourly_units || {};
+      const unitLabels: Record<string, string> = {};
+      for (const v of selected) {
+        const unit = hu[HOURLY_VARIABLES[v].param] || fallbackHourlyUnit(v, units);
+        if (unit && v !== "weather" && v !== "is_day") unitLabels[v] = unit;
+      }
+      const hourRows = hourly.time.map((time, i) => {
+        const row: { time: string } & Record<string, number | string | null> = { time };
+        for (const v of selected) {
+          const value = (hourly[HOURLY_VARIABLES[v].param] as (number | null)[] | undefined)?.[i];
+          row[v] = value === undefined || value === null ? null : v === "weather" ? getWeatherDescription(value) : value;
+        }
+        return row;
+      });
 
-// --- Tool Definitions ---
+      // One header line with units, then one pipe-separated row per hour keeps this small enough for local models.
+      const header = ["time", ...selected.map(v => unitLabels[v] ? `${v} (${unitLabels[v]})` : v)];
+      const rows = hourRows.map(row => [row.time, ...selected.map(v => row[v] === null ? "-" : String(row[v]))].join(" | "));
 
-server.tool(
-  "get-alerts",
-  "Get weather alerts for a US state from the National Weather Service (NWS). Example: 'CA' for California.",
-  { state: z.string().length(2, { message: "State code must be 2 letters." }).describe("Two-letter US state code (e.g. CA, NY)"), },
-  async ({ state }) => {
-    const stateCode = state.toUpperCase();
-    const alertsUrl = `${NWS_API_BASE}/alerts/active?area=${stateCode}`;
-    debug("get-alerts: stateCode", stateCode, "alertsUrl", alertsUrl);
-    const alertsData = await makeAPIRequest<AlertsResponse>(alertsUrl, true, { "Accept": "application/geo+json" });
-    if (!alertsData) {
-      debug("get-alerts: No alertsData received or failed to fetch from NWS.");
-      return { content: [ { type: "text", text: `Failed to retrieve alerts data from NWS for ${stateCode}. The API might be down, the state code might be invalid, or there could be a network issue.` }], isError: true, };
+      const responseText = `Hourly Forecast for location (lat: ${latitude.toFixed(2)}, lon: ${longitude.toFixed(2)}), Timezone: ${location.timezone}:\n${header.join(" | ")}\n${rows.join("\n")}`;
+      return toolSuccess(responseText, { location, units: unitLabels, variables: selected, hours: hourRows });
     }
-    const features = alertsData.features || [];
-    if (features.length === 0) { return { content: [ { type: "text", text: `No active NWS alerts for ${stateCode} at this time.` } ], }; }
-    const formattedAlerts = features.map(formatNWSAlert);
-    return { content: [ { type: "text", text: `Active NWS alerts for ${stateCode}:\n\n${formattedAlerts.join("\n")}` } ], };
-  },
-);
-
-server.tool(
-  "get-latlong-from-name",
-  "Get latitude and longitude for a named location using Nominatim (OpenStreetMap API). Global coverage. Returns name, latitude, and longitude.",
-  { locationName: z.string().min(1, {message: "Location name cannot be empty."}).describe("The name of the location (e.g., 'New York', 'Paris, France', 'Tokyo', 'Paris TX')"), },
-  async ({ locationName }) => {
-    debug("get-latlong-from-name: locationName being processed:", locationName);
-    const geocodeApiUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(locationName)}&format=json&limit=1&addressdetails=0`; // addressdetails=0 for simpler response
-    debug("get-latlong-from-name: Nominatim geocodeApiUrl:", geocodeApiUrl);
-    
-    // IMPORTANT: For production use, replace placeholder email with your actual contact information
-    // as per Nominatim's Usage Policy: https://operations.osmfoundation.org/policies/nominatim/
-    const nominatimUserAgent = `MCPWeatherApp/1.0 (${USER_AGENT_BASE}) your-email@example.com`; 
-
-    const geoResponse = await makeAPIRequest<NominatimGeocodeResponse>(geocodeApiUrl, true, {
-      "User-Agent": nominatimUserAgent 
-    });
-    debug("get-latlong-from-name: Raw geoResponse from makeAPIRequest (Nominatim):", JSON.stringify(geoResponse, null, 2));
-
-    if (geoResponse && Array.isArray(geoResponse) && geoResponse.length > 0) {
-      const firstResult = geoResponse[0];
-      const lat = parseFloat(firstResult.lat);
-      const lon = parseFloat(firstResult.lon);
-
-      if (isNaN(lat) || isNaN(lon)) {
-        debug("get-latlong-from-name: Nominatim returned non-numeric lat/lon:", firstResult);
-        return { content: [ { type: "text", text: JSON.stringify({ error: `Nominatim returned invalid coordinate format for '${locationName}'. Received lat: ${firstResult.lat}, lon: ${firstResult.lon}` }) } ], isError: true, };
+  );
+}
+
+function formatAirQualityReading(reading: AirQualityReading, unitLabels: Record<string, string>): string {
+  const u = (value: number | null, field: string) => formatMeasurement(value ?? undefined, unitLabels[field]);
+  const lines = [
+    `European AQI: ${reading.european_aqi ?? "N/A"} (${reading.european_aqi_category})`,
+    `US AQI: ${reading.us_aqi ?? "N/A"} (${reading.us_aqi_category})`,
+    `PM2.5: ${u(reading.pm2_5, "pm2_5")}, PM10: ${u(reading.pm10, "pm10")}, Ozone: ${u(reading.ozone, "ozone")}, NO2: ${u(reading.nitrogen_dioxide, "nitrogen_dioxide")}`,
+    `UV Index: ${reading.uv_index ?? "N/A"} (${reading.uv_index_category})`,
+  ];
+  const pollen = Object.entries(reading.pollen).map(([type, p]) => `${type} ${u(p.value, `${type}_pollen`)} (${p.category})`);
+  lines.push(`Pollen: ${pollen.length > 0 ? pollen.join(", ") : "No data (only available for Europe, in season)"}`);
+  return lines.join("\n");
+}
+
+function registerAirQualityTools(server: McpServer) {
+  server.registerTool(
+    "get-air-quality",
+    {
+      description: "Get current and hourly air quality for a latitude/longitude from Open-Meteo (global coverage, about 5 days ahead): European and US AQI with health categories, PM2.5, PM10, ozone, NO2, UV index and pollen counts (Europe only). Use it for outdoor-planning, allergy and sun-exposure questions.",
+      inputSchema: {
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"),
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"),
+        timezone: z.string().optional().describe("Timezone (e.g., 'America/New_York', 'Europe/London'). Defaults to 'auto' (the location's own timezone)."),
+        hours: z.number().int().min(0).max(MAX_AIR_QUALITY_HOURS).default(24).describe(`Number of hourly readings to return from the current hour (0-${MAX_AIR_QUALITY_HOURS}); 0 returns current conditions only`),
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        location: z.object({ latitude: z.number(), longitude: z.number(), timezone: z.string() }).optional(),
+        units: z.record(z.string()).optional(),
+        current: airQualityReadingSchema.nullable().optional(),
+        hourly: z.array(airQualityReadingSchema).optional(),
+      },
+    },
+    async ({ latitude, longitude, timezone, hours }) => {
+      try {
+        const report = await fetchAirQuality({ latitude, longitude, timezone, hours });
+        if (!report.current && report.hourly.length === 0) {
+          return toolError("NOT_FOUND", "Air quality data not available for this location.");
+        }
+        let responseText = `Air Quality for location (lat: ${latitude.toFixed(2)}, lon: ${longitude.toFixed(2)}), Timezone: ${report.location.timezone}:\n`;
+        if (report.current) {
+          responseText += `Current (${report.current.time}):\n${formatAirQualityReading(report.current, report.units)}\n`;
+        }
+        if (report.hourly.length > 0) {
+          // Same compact table as get-hourly-forecast; categories are in the structured result.
+          responseText += `\nHourly:\ntime | european_aqi | us_aqi | pm2_5 (${report.units.pm2_5 || "μg/m³"}) | uv_index\n`;
+          responseText += report.hourly.map(h => [h.time, h.european_aqi, h.us_aqi, h.pm2_5, h.uv_index].map(v => v === null ? "-" : String(v)).join(" | ")).join("\n");
+        }
+        return toolSuccess(responseText.trimEnd(), { ...report });
+      } catch (error: any) {
+        debug("get-air-quality: failed:", error.message);
+        if (error instanceof ProviderError) return toolError(error.code, error.message, error.retryable);
+        return toolError("UPSTREAM_UNAVAILABLE", error?.message || String(error));
       }
+    },
+  );
+}
 
-      const locationData = {
-          name: firstResult.display_name, 
-          latitude: lat,
-          longitude: lon,
-          // Timezone is not directly available from basic Nominatim search.
-          // The get-worldwide-forecast tool will use 'auto' for timezone.
-      };
-      debug("get-latlong-from-name: Geocoding successful with Nominatim:", locationData);
-      return { content: [ { type: "text", text: JSON.stringify(locationData) } ], };
-    } else {
-      debug("get-latlong-from-name: Location not found or geocoding API error from Nominatim. Raw Response was:", JSON.stringify(geoResponse, null, 2));
-      return { content: [ { type: "text", text: JSON.stringify({ error: `Could not find coordinates for the location: '${locationName}' using Nominatim. Please be more specific, check spelling, or the location might not be found.` }) } ], isError: true, };
-    }
-  }
-);
-
-server.tool(
-  "get-worldwide-forecast",
-  "Get the current weather and a multi-day forecast for a given latitude, longitude using Open-Meteo API (global coverage). An optional timezone (e.g. America/New_York) can be provided.",
-  { 
-    latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"), 
-    longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"), 
-    timezone: z.string().optional().describe("Timezone (e.g., 'America/New_York', 'Europe/London'). Defaults to 'auto' if not provided. Can sometimes be inferred from get-latlong-from-name if that tool provides it."), 
-  },
-  async ({ latitude, longitude, timezone }) => {
-    const tzParam = (timezone && timezone.trim() !== "") ? encodeURIComponent(timezone) : "auto";
-    // Request current weather, daily min/max temp, weather code, and precipitation sum for the next 7 days
-    // Added temperature_unit, wind_speed_unit, precipitation_unit for clarity
-    const forecastUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude.toFixed(4)}&longitude=${longitude.toFixed(4)}&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=${tzParam}&forecast_days=7`;
-    
-    debug("get-worldwide-forecast: Open-Meteo URL", forecastUrl);
-    const forecastData = await makeAPIRequest<OpenMeteoForecastResponse>(forecastUrl, true);
-
-    if (!forecastData) {
-      debug("get-worldwide-forecast: No forecast data received from Open-Meteo.");
-      return { content: [{ type: "text", text: JSON.stringify({ error: "Failed to retrieve forecast data from Open-Meteo. The API might be temporarily unavailable or location parameters are invalid."}) }], isError: true };
-    }
-    if (forecastData.error && forecastData.reason) {
-      debug("get-worldwide-forecast: Open-Meteo API returned an error:", forecastData.reason);
-      return { content: [{ type: "text", text: JSON.stringify({ error: `Open-Meteo forecast error: ${forecastData.reason}` }) }], isError: true };
-    }
+function signed(value: number | null, unitLabel: string): string {
+  if (value === null) return "N/A";
+  return `${value > 0 ? "+" : ""}${formatMeasurement(value, unitLabel)}`;
+}
 
-    let responseText = `Weather Forecast for location (lat: ${latitude.toFixed(2)}, lon: ${longitude.toFixed(2)}), Timezone: ${forecastData.timezone || tzParam}:\n`;
-    
-    if (forecastData.current) {
-      const current = forecastData.current;
-      responseText += "\n--- Current Weather ---\n";
-      responseText += `Time: ${current.time}\n`;
-      responseText += `Temperature: ${current.temperature_2m}°F\n`;
-      responseText += `Apparent Temp: ${current.apparent_temperature}°F\n`;
-      responseText += `Humidity: ${current.relative_humidity_2m}%\n`;
-      responseText += `Weather: ${getWeatherDescription(current.weather_code)}\n`;
-      responseText += `Wind: ${current.wind_speed_10m} mph from ${current.wind_direction_10m}° (Gusts: ${current.wind_gusts_10m} mph)\n`;
-      responseText += `Precipitation: ${current.precipitation} in\n`;
-      responseText += `Cloud Cover: ${current.cloud_cover}%\n`;
-      responseText += `Pressure: ${current.pressure_msl} hPa\n`;
-    } else { responseText += "Current weather data not available.\n"; }
-
-    if (forecastData.daily && forecastData.daily.time && forecastData.daily.time.length > 0) {
-      responseText += "\n--- Daily Forecast (7 days) ---\n";
-      const units = forecastData.daily_units;
-      for (let i = 0; i < forecastData.daily.time.length; i++) {
-        responseText += `Date: ${forecastData.daily.time[i]}\n`;
-        responseText += `  Weather: ${getWeatherDescription(forecastData.daily.weather_code[i])}\n`;
-        responseText += `  Max Temp: ${forecastData.daily.temperature_2m_max[i]}${units?.temperature_2m_max || '°F'}\n`;
-        responseText += `  Min Temp: ${forecastData.daily.temperature_2m_min[i]}${units?.temperature_2m_min || '°F'}\n`;
-        if (forecastData.daily.precipitation_sum && forecastData.daily.precipitation_sum[i] !== undefined) {
-          responseText += `  Precipitation Sum: ${forecastData.daily.precipitation_sum[i]}${units?.precipitation_sum || 'in'}\n`;
+// Daily rows are listed for ranges up to two months; longer ranges report the aggregates only.
+const MAX_HISTORY_TEXT_ROWS = 62;
+
+function registerHistoryTools(server: McpServer) {
+  server.registerTool(
+    "get-historical-weather",
+    {
+      description: `Get the observed daily weather for a past date range (back to ${ARCHIVE_FIRST_DATE}, up to ${MAX_HISTORY_DAYS} days) at a latitude/longitude, from the Open-Meteo historical archive. ` +
+        "Returns each day's weather, high/low/mean temperature, precipitation and max wind, plus aggregates (mean temperature, hottest day, coldest night, precipitation total, wettest day). The most recent ~5 days may not be available yet.",
+      inputSchema: {
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"),
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"),
+        start_date: z.string().regex(ISO_DATE_PATTERN, { message: "Dates must be YYYY-MM-DD." }).describe("First day, YYYY-MM-DD (e.g. 2024-03-03)"),
+        end_date: z.string().regex(ISO_DATE_PATTERN, { message: "Dates must be YYYY-MM-DD." }).optional().describe("Last day, YYYY-MM-DD. Defaults to start_date (a single day)."),
+        timezone: z.string().optional().describe("Timezone that defines the calendar days (e.g. 'Europe/Lisbon'). Defaults to 'auto' (the location's own timezone)."),
+        ...unitsInputShape,
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        location: z.object({ latitude: z.number(), longitude: z.number(), timezone: z.string() }).optional(),
+        units: z.record(z.string()).optional(),
+        summary: historySummarySchema.optional(),
+        days: z.array(historicalDaySchema).optional(),
+      },
+    },
+    async ({ latitude, longitude, start_date, end_date = start_date, timezone, ...unitArgs }) => {
+      const today = new Date().toISOString().slice(0, 10);
+      const badDate = [start_date, end_date].find(date => !isValidIsoDate(date));
+      if (badDate) return toolError("INVALID_INPUT", `'${badDate}' is not a real calendar date.`);
+      if (start_date < ARCHIVE_FIRST_DATE || end_date > today) {
+        return toolError("INVALID_INPUT", `Historical data is available from ${ARCHIVE_FIRST_DATE} up to today (${today}); use the forecast tools for future dates.`);
+      }
+      const span = daysBetween(start_date, end_date) + 1;
+      if (span < 1) return toolError("INVALID_INPUT", `end_date (${end_date}) is before start_date (${start_date}).`);
+      if (span > MAX_HISTORY_DAYS) return toolError("INVALID_INPUT", `The range is ${span} days; at most ${MAX_HISTORY_DAYS} days can be requested at once.`);
+
+      const units = resolveUnits(unitArgs);
+      try {
+        const history = await fetchDailyHistory({ latitude, longitude, startDate: start_date, endDate: end_date, timezone, units });
+        if (history.days.length === 0) {
+          return toolError("NOT_FOUND", `The Open-Meteo archive returned no data for ${start_date} to ${end_date}.`);
+        }
+        const summary = summarizeHistory(history.days, units);
+        const u = history.units;
+        const extremeText = (e: { date: string; value: number } | null, unitLabel: string) => e ? `${formatMeasurement(e.value, unitLabel)} on ${e.date}` : "N/A";
+
+        let responseText = `Historical weather for location (lat: ${latitude.toFixed(2)}, lon: ${longitude.toFixed(2)}), Timezone: ${history.location.timezone}, ${start_date} to ${end_date}:\n`;
+        if (history.days.length <= MAX_HISTORY_TEXT_ROWS) {
+          responseText += history.days.map(day =>
+            `${day.date}: ${day.weather}, High ${formatMeasurement(day.temperature_max ?? undefined, u.temperature_max)}, Low ${formatMeasurement(day.temperature_min ?? undefined, u.temperature_min)}, ` +
+            `Precip ${formatMeasurement(day.precipitation_sum ?? undefined, u.precipitation_sum)}, Max wind ${formatMeasurement(day.wind_speed_max ?? undefined, u.wind_speed_max)}`).join("\n");
+          responseText += "\n";
         }
-        responseText += "  ---\n";
+        responseText += `\nSummary (${summary.days} days):\n`;
+        responseText += `- Mean temperature: ${formatMeasurement(summary.temperature_mean ?? undefined, u.temperature_mean)}\n`;
+        responseText += `- Hottest day: ${extremeText(summary.temperature_max, u.temperature_max)}\n`;
+        responseText += `- Coldest night: ${extremeText(summary.temperature_min, u.temperature_min)}\n`;
+        responseText += `- Total precipitation: ${formatMeasurement(summary.precipitation_total ?? undefined, u.precipitation_sum)} over ${summary.wet_days} wet day(s); wettest ${extremeText(summary.wettest_day, u.precipitation_sum)}\n`;
+        if (summary.most_common_weather) responseText += `- Most common weather: ${summary.most_common_weather}\n`;
+        return toolSuccess(responseText.trimEnd(), { ...history, summary });
+      } catch (error: any) {
+        debug("get-historical-weather: failed:", error.message);
+        if (error instanceof ProviderError) return toolError(error.code, error.message, error.retryable);
+        return toolError("UPSTREAM_UNAVAILABLE", error?.message || String(error));
       }
-    } else { responseText += "Daily forecast data not available.\n"; }
-    
-    return { content: [{ type: "text", text: responseText.trim() }] };
-  }
-);
+    },
+  );
+
+  server.registerTool(
+    "compare-forecast-to-normal",
+    {
+      description: "Compare the daily forecast for a latitude/longitude against the climate normal: the average of the same calendar days over the previous years (default 10) from the Open-Meteo historical archive. " +
+        "Answers questions like 'will this week be warmer than usual?'. Returns per-day forecast, normal, record high/low and anomaly, plus period averages.",
+      inputSchema: {
+        latitude: z.number().min(-90).max(90).describe("Latitude of the location (e.g., from get-latlong-from-name tool)"),
+        longitude: z.number().min(-180).max(180).describe("Longitude of the location (e.g., from get-latlong-from-name tool)"),
+        timezone: z.string().optional().describe("Timezone (e.g., 'America/New_York'). Defaults to 'auto' (the location's own timezone)."),
+        forecast_days: z.number().int().min(1).max(MAX_FORECAST_DAYS).default(7).describe(`Number of forecast days to compare, including today (1-${MAX_FORECAST_DAYS})`),
+        years: z.number().int().min(1).max(MAX_NORMAL_YEARS).default(10).describe(`Number of past years averaged into the normal (1-${MAX_NORMAL_YEARS})`),
+        ...unitsInputShape,
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        provider: z.enum(PROVIDER_IDS).optional().describe("The forecast provider that answered."),
+        location: locationPointSchema.optional(),
+        units: z.record(z.string()).optional(),
+        summary: climateComparisonSummarySchema.optional(),
+        days: z.array(climateComparisonDaySchema).optional(),
+      },
+    },
+    async ({ latitude, longitude, timezone, forecast_days, years, ...unitArgs }) => {
+      const units = resolveUnits(unitArgs);
+      try {
+        const { forecast } = await getForecastWithFailover({ latitude, longitude, timezone, forecastDays: forecast_days, units });
+        if (forecast.daily.length === 0) {
+          return toolError("NOT_FOUND", "The forecast provider returned no daily forecast to compare.");
+        }
+        // Use the forecast's resolved timezone so both sides agree on where each calendar day starts.
+        const { byMonthDay, firstYear, lastYear } = await fetchClimateNormals({
+          latitude, longitude, timezone: forecast.location.timezone === "auto" ? timezone : forecast.location.timezone,
+          startDate: forecast.daily[0].date, endDate: forecast.daily[forecast.daily.length - 1].date, years, units,
+        });
+        const referenceYears = firstYear === lastYear ? String(lastYear) : `${firstYear}-${lastYear}`;
+        const { days, summary } = compareWithNormals(forecast.daily, byMonthDay, referenceYears);
+
+        const temperatureUnit = forecast.units.temperature_max || FALLBACK_UNIT_LABELS[units.temperature_unit];
+        const precipitationUnit = forecast.units.precipitation_sum || FALLBACK_UNIT_LABELS[units.precipitation_unit];
+        let responseText = `Forecast vs ${referenceYears} normals for location (lat: ${latitude.toFixed(2)}, lon: ${longitude.toFixed(2)}), Timezone: ${forecast.location.timezone}:\n`;
+        responseText += `Source: ${forecast.provider} forecast, Open-Meteo archive normals\n`;
+        responseText += `Highs average ${signed(summary.temperature_max_anomaly, temperatureUnit)} and lows ${signed(summary.temperature_min_anomaly, temperatureUnit)} relative to normal.\n`;
+        if (summary.precipitation_total !== null && summary.normal_precipitation_total !== null) {
+          responseText += `Precipitation: ${formatMeasurement(summary.precipitation_total, precipitationUnit)} forecast vs ${formatMeasurement(summary.normal_precipitation_total, precipitationUnit)} normal.\n`;
+        }
+        responseText += "\n" + days.map(day =>
+          `${day.date}: ${day.weather}, High ${formatMeasurement(day.temperature_max ?? undefined, temperatureUnit)} (normal ${formatMeasurement(day.normal_temperature_max ?? undefined, temperatureUnit)}, ${signed(day.temperature_max_anomaly, temperatureUnit)}), ` +
+          `Low ${formatMeasurement(day.temperature_min ?? undefined, temperatureUnit)} (normal ${formatMeasurement(day.normal_temperature_min ?? undefined, temperatureUnit)}, ${signed(day.temperature_min_anomaly, temperatureUnit)}), ` +
+          `Record ${formatMeasurement(day.record_low ?? undefined, temperatureUnit)} to ${formatMeasurement(day.record_high ?? undefined, temperatureUnit)}`).join("\n");
+        return toolSuccess(responseText, {
+          provider: forecast.provider,
+          location: forecast.location,
+          units: { temperature: temperatureUnit, precipitation: precipitationUnit },
+          summary,
+          days,
+        });
+      } catch (error: any) {
+        debug("compare-forecast-to-normal: failed:", error.message);
+        if (error instanceof ProviderError) return toolError(error.code, error.message, error.retryable);
+        return toolError("UPSTREAM_UNAVAILABLE", error?.message || String(error));
+      }
+    },
+  );
+}
+
+const SERVER_VERSION = "1.3.0";
+
+// --- Command line / environment ---
+// stdio is the default. `--transport http` (or WEATHER_TRANSPORT=http) serves Streamable HTTP instead;
+// flags win over the environment. Prefer WEATHER_HTTP_TOKEN over --token, which shows up in `ps`.
+interface ServerOptions { transport: "stdio" | "http"; host: string; port: number; token?: string; }
+
+function parseServerOptions(): ServerOptions {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: "string" },
+      host: { type: "string" },
+      port: { type: "string" },
+      token: { type: "string" },
+    },
+  });
+  const transport = values.transport || process.env.WEATHER_TRANSPORT || "stdio";
+  if (transport !== "stdio" && transport !== "http") throw new Error(`unknown transport '${transport}', expected 'stdio' or 'http'`);
+  const rawPort = values.port || process.env.WEATHER_HTTP_PORT || "3000";
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`invalid port '${rawPort}'`);
+  return {
+    transport,
+    host: values.host || process.env.WEATHER_HTTP_HOST || "127.0.0.1",
+    port,
+    token: values.token || process.env.WEATHER_HTTP_TOKEN || undefined,
+  };
+}
+
+// --- Server factory ---
+// stdio serves a single client per process. Over HTTP every session gets its own McpServer (and
+// alert watcher), while the response cache, throttle and provider config are shared module state.
+function createServer(): McpServer {
+  const server = new McpServer({
+    name: "weather",
+    version: SERVER_VERSION, // Using Nominatim for geocoding
+    capabilities: {
+      resources: {},
+      tools: {},
+    }
+  });
+
+  registerAlertTools(server);
+  registerGeocodingTools(server);
+  registerForecastTools(server);
+  registerAirQualityTools(server);
+  registerHistoryTools(server);
+  registerWeatherResources(server, {
+    forecast: getForecast,
+    alerts: getAlerts,
+    geocode: geocodeLocation,
+  });
+  registerAlertSubscriptions(server);
+  return server;
+}
 
 
 async function main() {
   // Test function call is commented out for normal operation
   // await testNominatimOnServer(); 
 
-  const transport = new StdioServerTransport();
+  // Leave through process.exit so 'exit' handlers (such as the on-disk cache flush) still run.
+  for (const signal of ["SIGINT", "SIGTERM"] as const) {
+    process.once(signal, () => process.exit(0));
+  }
+
+  let options: ServerOptions;
   try {
-    await server.connect(transport);
-    console.error(`Weather MCP Server (Worldwide v1.3.0) running on stdio`);
+    options = parseServerOptions();
+  } catch (error: any) {
+    console.error(`Invalid server options: ${error.message}`);
+    process.exit(2);
+  }
+
+  try {
+    if (options.transport === "http") {
+      await startHttpServer(createServer, { host: options.host, port: options.port, token: options.token, version: SERVER_VERSION });
+    } else {
+      await createServer().connect(new StdioServerTransport());
+      console.error(`Weather MCP Server (Worldwide v${SERVER_VERSION}) running on stdio`);
+    }
   } catch (error) {
     console.error("Fatal error connecting server:", error);
     process.exit(1);
@@ -294,13 +732,11 @@ main().catch((error) => {
 async function testNominatimOnServer() {
     console.error("\n--- [SERVER STARTUP TEST] Testing Nominatim Geocoding API ---");
     const testLocations = ["Paris TX", "London UK", "Tokyo Japan", "NonExistentPlaceXYZ"];
-    const nominatimUserAgent = `MCPWeatherApp/1.0 (${USER_AGENT_BASE}) your-email@example.com`; // **IMPORTANT: Update for real use**
 
     for (const loc of testLocations) {
-        const geocodeApiUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(loc)}&format=json&limit=1&addressdetails=0`;
-        const result = await makeAPIRequest<NominatimGeocodeResponse>(geocodeApiUrl, true, {"User-Agent": nominatimUserAgent});
+        const result = await searchPlaces(loc);
         console.error(`--- [SERVER STARTUP TEST] Nominatim Geocoding Result for '${loc}':`, JSON.stringify(result, null, 2));
-        if (result && Array.isArray(result) && result.length > 0 && result[0].lat && result[0].lon) {
+        if (result && result.length > 0) {
             console.error(`--- [SERVER STARTUP TEST] Geocoding for '${loc}' seems SUCCESSFUL. ---`);
         } else {
             console.error(`--- [SERVER STARTUP TEST] Geocoding for '${loc}' FAILED or returned no results. ---`);
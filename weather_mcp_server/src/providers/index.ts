@@ -0,0 +1,100 @@
+import { readFileSync } from "node:fs";
+import { z } from "zod";
+import { debug } from "../debug.js";
+import { nwsProvider } from "./nws.js";
+import { openMeteoProvider } from "./openMeteo.js";
+import { PROVIDER_IDS, ProviderError, type ForecastProvider, type ForecastRequest, type NormalizedForecast, type ProviderId } from "./model.js";
+
+export * from "./model.js";
+
+// --- Provider selection and failover ---
+// Providers are tried in the order configured for the region containing the point; providers whose
+// coverage excludes the point are skipped. The first one that answers wins.
+
+const PROVIDERS: Record<ProviderId, ForecastProvider> = {
+  "open-meteo": openMeteoProvider,
+  "nws": nwsProvider,
+};
+
+const providerConfigSchema = z.object({
+  default: z.array(z.enum(PROVIDER_IDS)).min(1).optional(),
+  regions: z.array(z.object({
+    name: z.string(),
+    bbox: z.tuple([z.number(), z.number(), z.number(), z.number()]).describe("[west, south, east, north] in degrees"),
+    providers: z.array(z.enum(PROVIDER_IDS)).min(1),
+  })).optional(),
+});
+type ProviderConfig = z.infer<typeof providerConfigSchema>;
+
+// Open-Meteo first keeps the pre-provider behaviour; NWS only steps in for US points when it fails.
+const DEFAULT_PROVIDER_ORDER: ProviderId[] = ["open-meteo", "nws"];
+
+function parseProviderList(raw: string, source: string): ProviderId[] | null {
+  const ids = raw.split(",").map(id => id.trim().toLowerCase()).filter(Boolean);
+  const unknown = ids.filter(id => !(PROVIDER_IDS as readonly string[]).includes(id));
+  if (ids.length === 0 || unknown.length > 0) {
+    console.error(`Ignoring ${source}: unknown provider(s) ${unknown.join(", ") || "(none given)"}. Known providers: ${PROVIDER_IDS.join(", ")}.`);
+    return null;
+  }
+  return ids as ProviderId[];
+}
+
+// WEATHER_PROVIDER_CONFIG points at a JSON file ({ default, regions }); WEATHER_PROVIDERS=nws,open-meteo
+// is a shortcut that only sets the default order.
+function loadProviderConfig(): ProviderConfig {
+  let config: ProviderConfig = {};
+  const configPath = process.env.WEATHER_PROVIDER_CONFIG;
+  if (configPath) {
+    try {
+      const parsed = providerConfigSchema.safeParse(JSON.parse(readFileSync(configPath, "utf8")));
+      if (parsed.success) {
+        config = parsed.data;
+      } else {
+        console.error(`Ignoring invalid provider config ${configPath}:`, parsed.error.message);
+      }
+    } catch (error: any) {
+      console.error(`Could not read provider config ${configPath}:`, error.message);
+    }
+  }
+  if (process.env.WEATHER_PROVIDERS) {
+    const order = parseProviderList(process.env.WEATHER_PROVIDERS, "WEATHER_PROVIDERS");
+    if (order) config.default = order;
+  }
+  debug("Provider config:", JSON.stringify(config));
+  return config;
+}
+
+const providerConfig = loadProviderConfig();
+
+export function providersFor(latitude: number, longitude: number): ForecastProvider[] {
+  const region = providerConfig.regions?.find(({ bbox: [west, south, east, north] }) =>
+    longitude >= west && longitude <= east && latitude >= south && latitude <= north);
+  const order = region?.providers || providerConfig.default || DEFAULT_PROVIDER_ORDER;
+  return order.map(id => PROVIDERS[id]).filter(provider => provider.covers(latitude, longitude));
+}
+
+export interface ProviderAttempt { provider: ProviderId; ok: boolean; error?: string; }
+
+export async function getForecastWithFailover(request: ForecastRequest): Promise<{ forecast: NormalizedForecast; attempts: ProviderAttempt[] }> {
+  const candidates = providersFor(request.latitude, request.longitude);
+  if (candidates.length === 0) {
+    throw new ProviderError("NOT_FOUND", `No configured forecast provider covers (${request.latitude.toFixed(2)}, ${request.longitude.toFixed(2)}).`);
+  }
+
+  const attempts: ProviderAttempt[] = [];
+  let lastError: ProviderError | null = null;
+  for (const provider of candidates) {
+    try {
+      const forecast = await provider.getForecast(request);
+      attempts.push({ provider: provider.id, ok: true });
+      return { forecast, attempts };
+    } catch (error: any) {
+      lastError = error instanceof ProviderError ? error : new ProviderError("UPSTREAM_UNAVAILABLE", error?.message || String(error));
+      attempts.push({ provider: provider.id, ok: false, error: lastError.message });
+      debug(`Provider ${provider.id} failed, trying next:`, lastError.message);
+    }
+  }
+
+  const summary = attempts.map(a => `${a.provider}: ${a.error}`).join("; ");
+  throw new ProviderError(lastError!.code, `All forecast providers failed (${summary})`, lastError!.retryable);
+}
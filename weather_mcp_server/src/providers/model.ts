@@ -0,0 +1,86 @@
+import { z } from "zod";
+import type { ToolErrorCode } from "../results.js";
+import type { UnitSelection } from "../units.js";
+
+// --- Normalized forecast model ---
+// Every provider maps its upstream response onto these shapes, so tools and formatters never see
+// provider-specific JSON. Fields a provider cannot supply are null rather than omitted.
+
+export const MAX_FORECAST_DAYS = 16;
+
+export const locationPointSchema = z.object({
+  latitude: z.number(),
+  longitude: z.number(),
+  timezone: z.string(),
+  elevation: z.number().optional(),
+});
+export type LocationPoint = z.infer<typeof locationPointSchema>;
+
+export const currentConditionsSchema = z.object({
+  time: z.string(),
+  temperature: z.number().nullable(),
+  apparent_temperature: z.number().nullable(),
+  humidity: z.number().nullable(),
+  is_day: z.boolean().nullable(),
+  weather_code: z.number().nullable(),
+  weather: z.string(),
+  precipitation: z.number().nullable(),
+  rain: z.number().nullable(),
+  showers: z.number().nullable(),
+  snowfall: z.number().nullable(),
+  cloud_cover: z.number().nullable(),
+  pressure_msl: z.number().nullable(),
+  surface_pressure: z.number().nullable(),
+  wind_speed: z.number().nullable(),
+  wind_direction: z.number().nullable(),
+  wind_gusts: z.number().nullable(),
+});
+export type CurrentConditions = z.infer<typeof currentConditionsSchema>;
+
+export const dailyForecastSchema = z.object({
+  date: z.string(),
+  weather_code: z.number().nullable(),
+  weather: z.string(),
+  temperature_max: z.number().nullable(),
+  temperature_min: z.number().nullable(),
+  precipitation_sum: z.number().nullable(),
+});
+export type DailyForecast = z.infer<typeof dailyForecastSchema>;
+
+// Unit labels keyed by the structured field they apply to, e.g. { temperature: "°C", wind_speed: "km/h" }.
+export const unitLabelsSchema = z.record(z.string());
+
+export const PROVIDER_IDS = ["open-meteo", "nws"] as const;
+export type ProviderId = typeof PROVIDER_IDS[number];
+
+export interface ForecastRequest {
+  latitude: number;
+  longitude: number;
+  timezone?: string;      // IANA name; providers resolve the location's own zone when omitted
+  forecastDays: number;
+  units: UnitSelection;
+}
+
+export interface NormalizedForecast {
+  provider: ProviderId;
+  location: LocationPoint;
+  units: Record<string, string>;
+  current: CurrentConditions | null;
+  daily: DailyForecast[];
+}
+
+export interface ForecastProvider {
+  id: ProviderId;
+  name: string;
+  // Cheap, offline check so failover can skip providers that cannot serve a location at all.
+  covers(latitude: number, longitude: number): boolean;
+  getForecast(request: ForecastRequest): Promise<NormalizedForecast>;
+}
+
+// Thrown by providers so failover can tell transient outages from bad input.
+export class ProviderError extends Error {
+  constructor(public code: ToolErrorCode, message: string, public retryable: boolean = code === "UPSTREAM_UNAVAILABLE") {
+    super(message);
+    this.name = "ProviderError";
+  }
+}
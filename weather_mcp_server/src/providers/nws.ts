@@ -0,0 +1,148 @@
+import { makeAPIRequest, NWS_API_BASE } from "../api.js";
+import { debug } from "../debug.js";
+import { FALLBACK_UNIT_LABELS, type UnitSelection } from "../units.js";
+import { ProviderError, type CurrentConditions, type DailyForecast, type ForecastProvider, type ForecastRequest, type NormalizedForecast } from "./model.js";
+
+// --- NWS gridpoint forecast ---
+// /points/{lat},{lon} resolves the forecast office grid; its `forecast` URL returns 12-hour
+// day/night periods and `forecastHourly` returns hourly periods. US territory only.
+
+interface NWSPointResponse { properties?: { forecast?: string; forecastHourly?: string; timeZone?: string; }; }
+interface NWSForecastPeriod {
+  number: number;
+  name: string;
+  startTime: string;   // ISO 8601 with the location's UTC offset, e.g. 2025-05-26T06:00:00-04:00
+  endTime: string;
+  isDaytime: boolean;
+  temperature: number | null;
+  temperatureUnit: string;
+  windSpeed?: string;  // "10 mph" or "10 to 15 mph"
+  windDirection?: string;
+  shortForecast?: string;
+  probabilityOfPrecipitation?: { value: number | null };
+  relativeHumidity?: { value: number | null };
+}
+interface NWSForecastResponse { properties?: { periods?: NWSForecastPeriod[]; }; }
+
+// Rough bounding boxes [west, south, east, north] for areas served by api.weather.gov.
+const NWS_COVERAGE: [number, number, number, number][] = [
+  [-125, 24, -66.9, 49.5],   // contiguous US
+  [-180, 51, -129.9, 71.5],  // Alaska
+  [-160.3, 18.9, -154.8, 22.3], // Hawaii
+  [-67.3, 17.6, -65.2, 18.6],   // Puerto Rico & USVI
+  [144.6, 13.2, 145.9, 15.3],   // Guam & Northern Marianas
+];
+
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+function compassToDegrees(direction: string | undefined): number | null {
+  const index = direction ? COMPASS_POINTS.indexOf(direction.trim().toUpperCase()) : -1;
+  return index === -1 ? null : index * 22.5;
+}
+
+const round1 = (value: number) => Math.round(value * 10) / 10;
+
+// Periods are requested in US units; convert into whatever the caller asked for.
+function convertTemperature(fahrenheit: number | null, units: UnitSelection): number | null {
+  if (fahrenheit === null || fahrenheit === undefined) return null;
+  return units.temperature_unit === "celsius" ? round1((fahrenheit - 32) * 5 / 9) : fahrenheit;
+}
+
+const MPH_TO: Record<UnitSelection["wind_speed_unit"], number> = { mph: 1, kmh: 1.609344, ms: 0.44704, kn: 0.868976 };
+
+// "10 to 15 mph" -> 15: the upper bound is the safer number to report for planning.
+function parseWindSpeed(windSpeed: string | undefined, units: UnitSelection): number | null {
+  const numbers = (windSpeed || "").match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  const mph = Math.max(...numbers.map(Number));
+  return round1(mph * MPH_TO[units.wind_speed_unit]);
+}
+
+function toCurrentConditions(period: NWSForecastPeriod, units: UnitSelection): CurrentConditions {
+  return {
+    time: period.startTime.slice(0, 16),
+    temperature: convertTemperature(period.temperature, units),
+    apparent_temperature: null,
+    humidity: period.relativeHumidity?.value ?? null,
+    is_day: period.isDaytime,
+    weather_code: null,
+    weather: period.shortForecast || "Not available",
+    precipitation: null,
+    rain: null,
+    showers: null,
+    snowfall: null,
+    cloud_cover: null,
+    pressure_msl: null,
+    surface_pressure: null,
+    wind_speed: parseWindSpeed(period.windSpeed, units),
+    wind_direction: compassToDegrees(period.windDirection),
+    wind_gusts: null,
+  };
+}
+
+// Fold day/night periods into one entry per local date: daytime temperature is the max,
+// overnight temperature the min, and the daytime short forecast describes the day.
+function toDailyForecast(periods: NWSForecastPeriod[], units: UnitSelection, forecastDays: number): DailyForecast[] {
+  const days = new Map<string, DailyForecast>();
+  for (const period of periods) {
+    const date = period.startTime.slice(0, 10);
+    let day = days.get(date);
+    if (!day) {
+      if (days.size >= forecastDays) break;
+      day = { date, weather_code: null, weather: "Not available", temperature_max: null, temperature_min: null, precipitation_sum: null };
+      days.set(date, day);
+    }
+    const temperature = convertTemperature(period.temperature, units);
+    if (period.isDaytime) {
+      day.temperature_max = temperature;
+      day.weather = period.shortForecast || day.weather;
+    } else {
+      day.temperature_min = temperature;
+      if (day.weather === "Not available" && period.shortForecast) day.weather = period.shortForecast;
+    }
+  }
+  return Array.from(days.values());
+}
+
+export const nwsProvider: ForecastProvider = {
+  id: "nws",
+  name: "National Weather Service",
+  covers: (latitude, longitude) =>
+    NWS_COVERAGE.some(([west, south, east, north]) => longitude >= west && longitude <= east && latitude >= south && latitude <= north),
+
+  async getForecast({ latitude, longitude, forecastDays, units }: ForecastRequest): Promise<NormalizedForecast> {
+    const headers = { "Accept": "application/geo+json" };
+    const pointUrl = `${NWS_API_BASE}/points/${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+    debug("nws provider: points URL", pointUrl);
+    const point = await makeAPIRequest<NWSPointResponse>(pointUrl, true, headers);
+    const forecastUrl = point?.properties?.forecast;
+    if (!forecastUrl) {
+      throw new ProviderError("UPSTREAM_UNAVAILABLE", `NWS could not resolve a forecast grid for (${latitude.toFixed(2)}, ${longitude.toFixed(2)}). The location may be outside NWS coverage or the API is unavailable.`);
+    }
+
+    const [forecast, hourly] = await Promise.all([
+      makeAPIRequest<NWSForecastResponse>(`${forecastUrl}?units=us`, true, headers),
+      point.properties?.forecastHourly ? makeAPIRequest<NWSForecastResponse>(`${point.properties.forecastHourly}?units=us`, true, headers) : Promise.resolve(null),
+    ]);
+    const periods = forecast?.properties?.periods;
+    if (!periods || periods.length === 0) {
+      throw new ProviderError("UPSTREAM_UNAVAILABLE", "Failed to retrieve the gridpoint forecast from NWS.");
+    }
+    // Hourly data only feeds "current" conditions; a daily forecast without it is still useful.
+    const firstHour = hourly?.properties?.periods?.[0];
+    if (!firstHour) debug("nws provider: hourly forecast unavailable, returning daily periods only");
+
+    const temperatureUnit = FALLBACK_UNIT_LABELS[units.temperature_unit];
+    const windUnit = FALLBACK_UNIT_LABELS[units.wind_speed_unit];
+    return {
+      provider: "nws",
+      location: { latitude, longitude, timezone: point.properties?.timeZone || "auto" },
+      units: {
+        temperature: temperatureUnit, temperature_max: temperatureUnit, temperature_min: temperatureUnit,
+        humidity: "%", wind_speed: windUnit, wind_direction: "°",
+      },
+      current: firstHour ? toCurrentConditions(firstHour, units) : null,
+      daily: toDailyForecast(periods, units, forecastDays),
+    };
+  },
+};
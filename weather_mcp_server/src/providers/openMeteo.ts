@@ -0,0 +1,105 @@
+import { makeAPIRequest } from "../api.js";
+import { debug } from "../debug.js";
+import { FALLBACK_UNIT_LABELS, unitQueryParams, type UnitSelection } from "../units.js";
+import { getWeatherDescription } from "../weatherCodes.js";
+import { ProviderError, type CurrentConditions, type DailyForecast, type ForecastProvider, type ForecastRequest, type NormalizedForecast } from "./model.js";
+
+export const OPEN_METEO_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+
+// --- Open-Meteo Forecast Interfaces ---
+export interface OpenMeteoCurrentData { time: string; temperature_2m: number; relative_humidity_2m: number; apparent_temperature: number; is_day: number; precipitation: number; rain: number; showers: number; snowfall: number; weather_code: number; cloud_cover: number; pressure_msl: number; surface_pressure: number; wind_speed_10m: number; wind_direction_10m: number; wind_gusts_10m: number; }
+export type OpenMeteoCurrentUnits = Partial<Record<keyof OpenMeteoCurrentData, string>>;
+export interface OpenMeteoDailyUnits { time: string; weather_code: string; temperature_2m_max: string; temperature_2m_min: string; precipitation_sum: string; }
+export interface OpenMeteoDailyData { time: string[]; weather_code: number[]; temperature_2m_max: number[]; temperature_2m_min: number[]; precipitation_sum?: number[]; }
+export interface OpenMeteoForecastResponse { latitude: number; longitude: number; generationtime_ms: number; utc_offset_seconds: number; timezone: string; timezone_abbreviation: string; elevation: number; current_units?: OpenMeteoCurrentUnits; current?: OpenMeteoCurrentData; daily_units?: OpenMeteoDailyUnits; daily?: OpenMeteoDailyData; hourly_units?: Record<string, string>; hourly?: OpenMeteoHourlyData; error?: boolean; reason?: string; }
+export type OpenMeteoHourlyData = { time: string[] } & Record<string, (number | null)[] | string[]>;
+
+function toCurrentConditions(current: OpenMeteoCurrentData): CurrentConditions {
+  return {
+    time: current.time,
+    temperature: current.temperature_2m ?? null,
+    apparent_temperature: current.apparent_temperature ?? null,
+    humidity: current.relative_humidity_2m ?? null,
+    is_day: current.is_day === undefined || current.is_day === null ? null : current.is_day === 1,
+    weather_code: current.weather_code ?? null,
+    weather: getWeatherDescription(current.weather_code),
+    precipitation: current.precipitation ?? null,
+    rain: current.rain ?? null,
+    showers: current.showers ?? null,
+    snowfall: current.snowfall ?? null,
+    cloud_cover: current.cloud_cover ?? null,
+    pressure_msl: current.pressure_msl ?? null,
+    surface_pressure: current.surface_pressure ?? null,
+    wind_speed: current.wind_speed_10m ?? null,
+    wind_direction: current.wind_direction_10m ?? null,
+    wind_gusts: current.wind_gusts_10m ?? null,
+  };
+}
+
+function toDailyForecast(daily: OpenMeteoDailyData): DailyForecast[] {
+  return daily.time.map((date, i) => ({
+    date,
+    weather_code: daily.weather_code?.[i] ?? null,
+    weather: getWeatherDescription(daily.weather_code?.[i] ?? undefined),
+    temperature_max: daily.temperature_2m_max?.[i] ?? null,
+    temperature_min: daily.temperature_2m_min?.[i] ?? null,
+    precipitation_sum: daily.precipitation_sum?.[i] ?? null,
+  }));
+}
+
+// Labels come from Open-Meteo's current_units/daily_units, falling back to the units we asked for.
+function forecastUnitLabels(forecastData: OpenMeteoForecastResponse, units: UnitSelection): Record<string, string> {
+  const cu = forecastData.current_units || {};
+  const du = forecastData.daily_units;
+  const temperature = cu.temperature_2m || du?.temperature_2m_max || FALLBACK_UNIT_LABELS[units.temperature_unit];
+  const windSpeed = cu.wind_speed_10m || FALLBACK_UNIT_LABELS[units.wind_speed_unit];
+  const precipitation = cu.precipitation || du?.precipitation_sum || FALLBACK_UNIT_LABELS[units.precipitation_unit];
+  return {
+    temperature,
+    apparent_temperature: cu.apparent_temperature || temperature,
+    humidity: cu.relative_humidity_2m || "%",
+    precipitation,
+    rain: cu.rain || precipitation,
+    showers: cu.showers || precipitation,
+    snowfall: cu.snowfall || "cm",
+    cloud_cover: cu.cloud_cover || "%",
+    pressure_msl: cu.pressure_msl || "hPa",
+    surface_pressure: cu.surface_pressure || "hPa",
+    wind_speed: windSpeed,
+    wind_direction: cu.wind_direction_10m || "°",
+    wind_gusts: cu.wind_gusts_10m || windSpeed,
+    temperature_max: du?.temperature_2m_max || temperature,
+    temperature_min: du?.temperature_2m_min || temperature,
+    precipitation_sum: du?.precipitation_sum || precipitation,
+  };
+}
+
+export const openMeteoProvider: ForecastProvider = {
+  id: "open-meteo",
+  name: "Open-Meteo",
+  covers: () => true, // global model coverage
+
+  async getForecast({ latitude, longitude, timezone, forecastDays, units }: ForecastRequest): Promise<NormalizedForecast> {
+    const tzParam = (timezone && timezone.trim() !== "") ? encodeURIComponent(timezone) : "auto";
+    // Request current weather, daily min/max temp, weather code, and precipitation sum for the next forecastDays days
+    const forecastUrl = `${OPEN_METEO_FORECAST_URL}?latitude=${latitude.toFixed(4)}&longitude=${longitude.toFixed(4)}&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum&${unitQueryParams(units)}&timezone=${tzParam}&forecast_days=${forecastDays}`;
+
+    debug("open-meteo provider: URL", forecastUrl);
+    const forecastData = await makeAPIRequest<OpenMeteoForecastResponse>(forecastUrl, true);
+
+    if (!forecastData) {
+      throw new ProviderError("UPSTREAM_UNAVAILABLE", "Failed to retrieve forecast data from Open-Meteo. The API might be temporarily unavailable or location parameters are invalid.");
+    }
+    if (forecastData.error) {
+      throw new ProviderError("UPSTREAM_ERROR", `Open-Meteo forecast error: ${forecastData.reason || "unknown error"}`);
+    }
+
+    return {
+      provider: "open-meteo",
+      location: { latitude, longitude, timezone: forecastData.timezone || decodeURIComponent(tzParam), elevation: forecastData.elevation },
+      units: forecastUnitLabels(forecastData, units),
+      current: forecastData.current ? toCurrentConditions(forecastData.current) : null,
+      daily: forecastData.daily && forecastData.daily.time ? toDailyForecast(forecastData.daily) : [],
+    };
+  },
+};
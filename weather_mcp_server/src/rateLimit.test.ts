@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { HostThrottle } from "./rateLimit.js";
+
+test("requests to one host start in order and at least the minimum interval apart", async () => {
+  const throttle = new HostThrottle();
+  const starts: { id: number; at: number }[] = [];
+  await Promise.all([1, 2, 3].map(id => throttle.run("example.com", async () => { starts.push({ id, at: Date.now() }); })));
+  assert.deepEqual(starts.map(s => s.id), [1, 2, 3]);
+  for (let i = 1; i < starts.length; i++) {
+    assert.ok(starts[i].at - starts[i - 1].at >= 95, `gap ${starts[i].at - starts[i - 1].at}ms`);
+  }
+});
+
+test("different hosts do not wait for each other", async () => {
+  const throttle = new HostThrottle();
+  const began = Date.now();
+  await Promise.all(["a.example", "b.example", "c.example"].map(host => throttle.run(host, async () => undefined)));
+  assert.ok(Date.now() - began < 90);
+});
+
+test("a failing task does not block the next one", async () => {
+  const throttle = new HostThrottle();
+  await assert.rejects(throttle.run("example.com", async () => { throw new Error("boom"); }), /boom/);
+  assert.equal(await throttle.run("example.com", async () => "ok"), "ok");
+});
@@ -0,0 +1,38 @@
+import { debug } from "./debug.js";
+
+// --- Per-host request throttling ---
+// Requests to the same host are started one after another, at least `minIntervalMs` apart.
+// Nominatim's usage policy allows an absolute maximum of 1 request per second.
+
+const DEFAULT_MIN_INTERVAL_MS = 100;
+
+const HOST_MIN_INTERVAL_MS: Record<string, number> = {
+  "nominatim.openstreetmap.org": 1100, // a little slack over 1 req/s for clock jitter
+  "api.weather.gov": 250,
+};
+
+function minIntervalFor(host: string): number {
+  return HOST_MIN_INTERVAL_MS[host] ?? DEFAULT_MIN_INTERVAL_MS;
+}
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+export class HostThrottle {
+  private queueTails = new Map<string, Promise<void>>();
+  private lastStart = new Map<string, number>();
+
+  async run<T>(host: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.queueTails.get(host) ?? Promise.resolve();
+    const slot = previous.then(async () => {
+      const wait = (this.lastStart.get(host) ?? 0) + minIntervalFor(host) - Date.now();
+      if (wait > 0) {
+        debug(`Throttle: waiting ${wait}ms before next request to ${host}`);
+        await sleep(wait);
+      }
+      this.lastStart.set(host, Date.now());
+    });
+    this.queueTails.set(host, slot);
+    await slot;
+    return task();
+  }
+}
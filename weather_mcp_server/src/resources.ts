@@ -0,0 +1,169 @@
+import { readFileSync } from "node:fs";
+import { ResourceTemplate, type McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { CallToolResult, ReadResourceResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import type { AlertQuery } from "./alerts.js";
+import { alertsUri } from "./alertWatcher.js";
+import { debug } from "./debug.js";
+
+// --- MCP resources ---
+// Read-only views over the same handlers the tools use, so clients can attach weather as context
+// without a tool call. Each read returns the human-readable text plus the structured JSON.
+// Alert resources can also be subscribed to; see alertWatcher.ts.
+
+export const US_STATE_CODES = [
+  "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI", "ID", "IL", "IN", "IA", "KS", "KY", "LA", "ME",
+  "MD", "MA", "MI", "MN", "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "ND", "OH", "OK", "OR", "PA", "RI",
+  "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA", "WV", "WI", "WY", "AS", "GU", "MP", "PR", "VI",
+];
+
+const favouriteSchema = z.object({
+  name: z.string().min(1),
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  state: z.string().length(2).optional().describe("US state code, to also list the state's alerts resource"),
+});
+export type Favourite = z.infer<typeof favouriteSchema>;
+
+// WEATHER_FAVOURITES holds a JSON array of favourites, or a path to a JSON file containing one:
+//   [{ "name": "Leeds", "latitude": 53.7974, "longitude": -1.5438 }, { "name": "Austin", "latitude": 30.27, "longitude": -97.74, "state": "TX" }]
+function loadFavourites(): Favourite[] {
+  const raw = process.env.WEATHER_FAVOURITES?.trim();
+  if (!raw) return [];
+  try {
+    const json = raw.startsWith("[") ? raw : readFileSync(raw, "utf8");
+    const parsed = z.array(favouriteSchema).safeParse(JSON.parse(json));
+    if (!parsed.success) {
+      console.error("Ignoring invalid WEATHER_FAVOURITES:", parsed.error.message);
+      return [];
+    }
+    debug(`Loaded ${parsed.data.length} favourite locations`);
+    return parsed.data;
+  } catch (error: any) {
+    console.error("Could not load WEATHER_FAVOURITES:", error.message);
+    return [];
+  }
+}
+
+export const favourites = loadFavourites();
+
+export function forecastUri(latitude: number, longitude: number): string {
+  return `weather://forecast/${latitude.toFixed(4)}/${longitude.toFixed(4)}`;
+}
+
+export interface ResourceHandlers {
+  forecast(args: { latitude: number; longitude: number }): Promise<CallToolResult>;
+  alerts(query: AlertQuery): Promise<CallToolResult>;
+  geocode(args: { locationName: string }): Promise<CallToolResult>;
+}
+
+// Resource reads have no isError channel, so a failed tool result becomes a thrown error (JSON-RPC error to the client).
+function toResourceResult(uri: URL, result: CallToolResult): ReadResourceResult {
+  const text = result.content.map(c => c.type === "text" ? c.text : "").join("\n");
+  if (result.isError) throw new Error(text);
+  const contents: ReadResourceResult["contents"] = [{ uri: uri.href, mimeType: "text/plain", text }];
+  if (result.structuredContent) {
+    contents.push({ uri: uri.href, mimeType: "application/json", text: JSON.stringify(result.structuredContent) });
+  }
+  return { contents };
+}
+
+function single(value: string | string[]): string {
+  return decodeURIComponent(Array.isArray(value) ? value[0] : value);
+}
+
+function parseCoordinate(value: string, min: number, max: number, label: string): number {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new Error(`Invalid ${label} '${value}' in resource URI; expected a number between ${min} and ${max}.`);
+  }
+  return parsed;
+}
+
+export function registerWeatherResources(server: McpServer, handlers: ResourceHandlers) {
+  server.resource(
+    "forecast",
+    new ResourceTemplate("weather://forecast/{lat}/{lon}", {
+      // Only favourites are enumerable; any other point can still be read by URI.
+      list: async () => ({
+        resources: favourites.map(f => ({
+          uri: forecastUri(f.latitude, f.longitude),
+          name: `Forecast: ${f.name}`,
+          description: `Current conditions and daily forecast for ${f.name}`,
+          mimeType: "text/plain",
+        })),
+      }),
+    }),
+    { description: "Current conditions and daily forecast for a latitude/longitude.", mimeType: "text/plain" },
+    async (uri, { lat, lon }) => {
+      const latitude = parseCoordinate(single(lat), -90, 90, "latitude");
+      const longitude = parseCoordinate(single(lon), -180, 180, "longitude");
+      return toResourceResult(uri, await handlers.forecast({ latitude, longitude }));
+    },
+  );
+
+  server.resource(
+    "alerts",
+    new ResourceTemplate("weather://alerts/{state}", {
+      list: async () => ({
+        resources: Array.from(new Set(favourites.flatMap(f => f.state ? [f.state.toUpperCase()] : []))).map(state => ({
+          uri: alertsUri({ area: state }),
+          name: `NWS alerts: ${state}`,
+          mimeType: "text/plain",
+        })),
+      }),
+      complete: { state: value => US_STATE_CODES.filter(code => code.startsWith(value.toUpperCase())) },
+    }),
+    { description: "Active National Weather Service alerts for a two-letter US state or marine area code.", mimeType: "text/plain" },
+    async (uri, { state }) => {
+      const stateCode = single(state);
+      if (!/^[A-Za-z]{2}$/.test(stateCode)) throw new Error(`Invalid state '${stateCode}' in resource URI; expected a two-letter US state code.`);
+      return toResourceResult(uri, await handlers.alerts({ area: stateCode }));
+    },
+  );
+
+  server.resource(
+    "zone-alerts",
+    new ResourceTemplate("weather://alerts/zone/{zone}", { list: undefined }),
+    { description: "Active National Weather Service alerts for an NWS forecast or county zone (e.g. TXZ211).", mimeType: "text/plain" },
+    async (uri, { zone }) => {
+      const zoneId = single(zone);
+      if (!/^[A-Za-z]{2}[ZCzc]\d{3}$/.test(zoneId)) throw new Error(`Invalid zone '${zoneId}' in resource URI; expected an NWS zone ID such as TXZ211.`);
+      return toResourceResult(uri, await handlers.alerts({ zone: zoneId.toUpperCase() }));
+    },
+  );
+
+  server.resource(
+    "point-alerts",
+    new ResourceTemplate("weather://alerts/point/{lat}/{lon}", { list: undefined }),
+    { description: "Active National Weather Service alerts covering a single latitude/longitude (US only).", mimeType: "text/plain" },
+    async (uri, { lat, lon }) => {
+      const latitude = parseCoordinate(single(lat), -90, 90, "latitude");
+      const longitude = parseCoordinate(single(lon), -180, 180, "longitude");
+      return toResourceResult(uri, await handlers.alerts({ point: { latitude, longitude } }));
+    },
+  );
+
+  server.resource(
+    "location",
+    new ResourceTemplate("weather://location/{name}", {
+      list: undefined,
+      complete: { name: value => favourites.map(f => f.name).filter(name => name.toLowerCase().startsWith(value.toLowerCase())) },
+    }),
+    { description: "Geocoded coordinates for a place name (URL-encoded, e.g. weather://location/Paris%2C%20France).", mimeType: "text/plain" },
+    async (uri, { name }) => toResourceResult(uri, await handlers.geocode({ locationName: single(name) })),
+  );
+
+  server.resource(
+    "favourites",
+    "weather://favourites",
+    { description: "The configured favourite locations and their forecast resource URIs.", mimeType: "application/json" },
+    async uri => ({
+      contents: [{
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(favourites.map(f => ({ ...f, forecast: forecastUri(f.latitude, f.longitude) }))),
+      }],
+    }),
+  );
+}
@@ -0,0 +1,44 @@
+import { z } from "zod";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+
+// --- Uniform tool results ---
+// Every tool returns structuredContent (validated against its outputSchema) plus a text block for LLMs.
+// Errors use the same envelope as successes, so dashboards can branch on `ok` without parsing text.
+
+export const TOOL_ERROR_CODES = [
+  "INVALID_INPUT",        // Arguments were well-typed but unusable (bad time window, etc.)
+  "NOT_FOUND",            // Upstream answered, but had nothing for this query
+  "UPSTREAM_UNAVAILABLE", // Network failure, timeout or non-2xx from the upstream API
+  "UPSTREAM_ERROR",       // Upstream answered with an explicit error (e.g. Open-Meteo `reason`)
+] as const;
+export type ToolErrorCode = typeof TOOL_ERROR_CODES[number];
+
+export const toolErrorSchema = z.object({
+  code: z.enum(TOOL_ERROR_CODES),
+  message: z.string(),
+  retryable: z.boolean().describe("True if the same call may succeed if retried later."),
+});
+export type ToolError = z.infer<typeof toolErrorSchema>;
+
+// Start every outputSchema with these. Payload fields must be optional, because error results are
+// validated against the same schema.
+export const baseOutputShape = {
+  ok: z.boolean(),
+  error: toolErrorSchema.optional(),
+};
+
+export function toolSuccess(text: string, data: Record<string, unknown>): CallToolResult {
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { ok: true, ...data },
+  };
+}
+
+export function toolError(code: ToolErrorCode, message: string, retryable: boolean = code === "UPSTREAM_UNAVAILABLE"): CallToolResult {
+  const error: ToolError = { code, message, retryable };
+  return {
+    content: [{ type: "text", text: `Error [${code}]: ${message}` }],
+    structuredContent: { ok: false, error },
+    isError: true,
+  };
+}
@@ -0,0 +1,61 @@
+import { z } from "zod";
+
+// --- Units ---
+// Open-Meteo accepts these values for its temperature_unit / wind_speed_unit / precipitation_unit query params.
+export const TEMPERATURE_UNITS = ["celsius", "fahrenheit"] as const;
+export const WIND_SPEED_UNITS = ["kmh", "ms", "mph", "kn"] as const;
+export const PRECIPITATION_UNITS = ["mm", "inch"] as const;
+export type TemperatureUnit = typeof TEMPERATURE_UNITS[number];
+export type WindSpeedUnit = typeof WIND_SPEED_UNITS[number];
+export type PrecipitationUnit = typeof PRECIPITATION_UNITS[number];
+export type UnitSystem = "metric" | "imperial";
+
+export interface UnitSelection { temperature_unit: TemperatureUnit; wind_speed_unit: WindSpeedUnit; precipitation_unit: PrecipitationUnit; }
+
+export const UNIT_SYSTEMS: Record<UnitSystem, UnitSelection> = {
+  metric: { temperature_unit: "celsius", wind_speed_unit: "kmh", precipitation_unit: "mm" },
+  imperial: { temperature_unit: "fahrenheit", wind_speed_unit: "mph", precipitation_unit: "inch" },
+};
+
+// Server-wide default, e.g. WEATHER_UNITS=metric. Imperial keeps the behaviour from before units were configurable.
+export const DEFAULT_UNIT_SYSTEM: UnitSystem = (() => {
+  const fromEnv = (process.env.WEATHER_UNITS || "").trim().toLowerCase();
+  if (fromEnv === "metric" || fromEnv === "imperial") return fromEnv;
+  if (fromEnv !== "") console.error(`Ignoring unknown WEATHER_UNITS value '${process.env.WEATHER_UNITS}', expected 'metric' or 'imperial'.`);
+  return "imperial";
+})();
+
+// Shared input shape so every tool that returns measurements takes the same unit arguments.
+export const unitsInputShape = {
+  units: z.enum(["metric", "imperial"]).optional().describe(`Unit system for all measurements: 'metric' (°C, km/h, mm) or 'imperial' (°F, mph, inch). Defaults to '${DEFAULT_UNIT_SYSTEM}'.`),
+  temperature_unit: z.enum(TEMPERATURE_UNITS).optional().describe("Override the temperature unit only (celsius or fahrenheit)."),
+  wind_speed_unit: z.enum(WIND_SPEED_UNITS).optional().describe("Override the wind speed unit only (kmh, ms, mph or kn)."),
+  precipitation_unit: z.enum(PRECIPITATION_UNITS).optional().describe("Override the precipitation unit only (mm or inch)."),
+};
+
+export interface UnitArgs { units?: UnitSystem; temperature_unit?: TemperatureUnit; wind_speed_unit?: WindSpeedUnit; precipitation_unit?: PrecipitationUnit; }
+
+export function resolveUnits(args: UnitArgs): UnitSelection {
+  const base = UNIT_SYSTEMS[args.units || DEFAULT_UNIT_SYSTEM];
+  return {
+    temperature_unit: args.temperature_unit || base.temperature_unit,
+    wind_speed_unit: args.wind_speed_unit || base.wind_speed_unit,
+    precipitation_unit: args.precipitation_unit || base.precipitation_unit,
+  };
+}
+
+export function unitQueryParams(units: UnitSelection): string {
+  return `temperature_unit=${units.temperature_unit}&wind_speed_unit=${units.wind_speed_unit}&precipitation_unit=${units.precipitation_unit}`;
+}
+
+// Only used when Open-Meteo omits a *_units entry; the API's own labels are preferred.
+export const FALLBACK_UNIT_LABELS: Record<TemperatureUnit | WindSpeedUnit | PrecipitationUnit, string> = {
+  celsius: "°C", fahrenheit: "°F", kmh: "km/h", ms: "m/s", mph: "mp/h", kn: "kn", mm: "mm", inch: "inch",
+};
+
+export function formatMeasurement(value: number | undefined, unitLabel: string | undefined): string {
+  if (value === undefined || value === null) return "N/A";
+  if (!unitLabel) return `${value}`;
+  // Degree and percent signs read naturally attached to the number; everything else gets a space.
+  return unitLabel.startsWith("°") || unitLabel === "%" ? `${value}${unitLabel}` : `${value} ${unitLabel}`;
+}